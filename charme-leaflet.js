@@ -25,9 +25,78 @@
  *            to the page that this is being served from
  * @param map
  *            The leaflet map to add the annotation controls to
+ * @param options
+ *            (Optional) An object containing any of the following options:
+ * 
+ *            "baseUri" - the base URI under which the identifiers of submitted
+ *            annotations (and their parts) are generated. Defaults to
+ *            charmeUrl + "resource/"
+ * 
+ *            "rdfFormat" - the format used to post annotations to the CHARMe
+ *            node, either "turtle" or "jsonld". Defaults to "turtle"
+ * 
+ *            "loadInViewport" - if true, only annotations intersecting the
+ *            visible area of the map are loaded, and more are loaded as the map
+ *            is panned and zoomed. Defaults to false
+ * 
+ *            "refreshDelay" - when loadInViewport is set, the time (in ms) to
+ *            wait after the map stops moving before loading annotations.
+ *            Defaults to 500
+ * 
+ *            "pageSize" - the maximum number of results to request from the
+ *            CHARMe node at once. Annotations are loaded a page at a time until
+ *            all have been loaded. Set to 0 to load everything at once.
+ *            Defaults to 500
+ * 
+ *            "clusterPoints" - if true, nearby point annotations are grouped
+ *            into clusters. The Leaflet.markercluster plugin is used if it has
+ *            been loaded, otherwise a simple built-in clustering is used.
+ *            Defaults to false
+ * 
+ *            "densityCellSize" - the size (in pixels) of the grid cells used
+ *            when displaying annotation density (see setDisplayMode()).
+ *            Defaults to 40
+ * 
+ *            "circleFormat" - how circles drawn by the user are stored. Either
+ *            "polygon" (a polygon approximating the circle) or "point" (the
+ *            centre point plus a radius, which not all triple stores can use in
+ *            spatial queries). Defaults to "polygon"
+ * 
+ *            "resultsFormat" - the format to request annotations from the
+ *            CHARMe node in. Either "geojson" (the node's own GeoJSON output),
+ *            "sparql" (standard SPARQL JSON results, for triple stores which
+ *            don't support GeoJSON) or "auto" to try GeoJSON first and fall
+ *            back to SPARQL JSON results if the node doesn't support GeoJSON.
+ *            Defaults to "auto"
+ * 
+ *            "crs" - the URI of the CRS to store the geometry of new
+ *            annotations in, e.g. "http://www.opengis.net/def/crs/EPSG/0/3413".
+ *            Unless this is WGS84, proj4 must be loaded with a definition of
+ *            the CRS. Annotations returned in other CRSs are converted in the
+ *            same way for display. Defaults to undefined, which stores WGS84
+ *            longitude/latitude without a CRS URI
+ * 
+ *            "densify" - the maximum length (in pixels) of the edges of new
+ *            annotations. Longer edges are split up, so that edges drawn
+ *            straight on a map in another projection keep their shape. Set to
+ *            0 to turn this off. Defaults to 20 on maps which don't use the
+ *            default Web Mercator projection, and 0 otherwise
  */
-function CharmeAnnotator(charmeUrl, charmeClientId, map) {
+function CharmeAnnotator(charmeUrl, charmeClientId, map, options) {
     this.charmeUrl = charmeUrl;
+    this.options = L.extend({
+        baseUri: charmeUrl + 'resource/',
+        rdfFormat: 'turtle',
+        loadInViewport: false,
+        refreshDelay: 500,
+        pageSize: 500,
+        clusterPoints: false,
+        densityCellSize: 40,
+        circleFormat: 'polygon',
+        resultsFormat: 'auto',
+        crs: undefined,
+        densify: undefined
+    }, options);
 
     /*
      * Initialise the OAuth2 object, setting the redirect URL to the current
@@ -47,13 +116,39 @@ function CharmeAnnotator(charmeUrl, charmeClientId, map) {
     this.map = map;
     this.drawControl = undefined;
     this.annotationsGroup = undefined;
+    this.pointsGroup = undefined;
+    this.searchResultsGroup = undefined;
+    this.densityLayer = undefined;
+    this.displayMode = 'features';
+    this._searchHandler = undefined;
     this.annotationsOn = false;
+    /*
+     * The displayed annotation layers, keyed by annotation URI
+     */
+    this.annotationLayers = {};
+    this._refreshTimer = undefined;
+    this._loadId = 0;
+    this._loadController = undefined;
+    /*
+     * The results format found to work when the resultsFormat option is auto
+     */
+    this._resultsFormat = undefined;
 
     this.datasetUri = undefined;
     this.datasetVar = undefined;
+    this.datasetTime = undefined;
+    this.datasetVertical = undefined;
 
     this.formatAnnotation = undefined;
+    this.styleFunctions = [CharmeAnnotator.STYLES.motivation];
+    this.pointToLayer = undefined;
+    this.motivations = CharmeAnnotator.MOTIVATIONS;
+    this.tagVocabulary = [];
+    this.tagFilter = undefined;
+    this.filter = {};
+    this.citationResolver = undefined;
     this.token = undefined;
+    this.userDetails = undefined;
 
     /*
      * Call the init method
@@ -63,16 +158,130 @@ function CharmeAnnotator(charmeUrl, charmeClientId, map) {
 
 CharmeAnnotator.prototype = Object.create(L.Mixin.Events);
 
+var OA = 'http://www.w3.org/ns/oa#';
+var CHARME = 'http://purl.org/voc/charme#';
+
+/**
+ * The default motivations which users can choose from when creating an
+ * annotation. Each has a "uri", a human-readable "label" and a "color" used
+ * when displaying annotations with that motivation, and optionally a line
+ * "weight" so that annotations with that motivation stand out.
+ */
+CharmeAnnotator.MOTIVATIONS = [{
+    uri: OA + 'commenting',
+    label: 'Comment',
+    color: '#0033ff'
+}, {
+    uri: OA + 'questioning',
+    label: 'Question',
+    color: '#9933cc'
+}, {
+    uri: OA + 'describing',
+    label: 'Description',
+    color: '#008000'
+}, {
+    uri: OA + 'tagging',
+    label: 'Tag',
+    color: '#996633'
+}, {
+    uri: OA + 'linking',
+    label: 'Link',
+    color: '#0099cc'
+}, {
+    uri: CHARME + 'flaggingDataQuality',
+    label: 'Data quality flag',
+    color: '#ff0000',
+    weight: 6
+}];
+
+/**
+ * Built-in styles for displayed annotations, which can be passed by name to
+ * setStyle(). Each is called with the CharmeAnnotator as "this" and the
+ * GeoJSON feature of an annotation, and returns Leaflet path options.
+ */
+CharmeAnnotator.STYLES = {
+    /*
+     * Colours each annotation by its motivation
+     */
+    motivation: function (feature) {
+        var motivation = this._getMotivation(feature.properties.motivation);
+        var style = {};
+        if (motivation && motivation.color) {
+            style.color = motivation.color;
+        }
+        if (motivation && motivation.weight) {
+            style.weight = motivation.weight;
+        }
+        return style;
+    },
+    /*
+     * Draws the logged-in user's annotations more boldly than others
+     */
+    mine: function (feature) {
+        return this._isOwnAnnotation(feature.properties) ? {
+            weight: 4,
+            opacity: 1,
+            fillOpacity: 0.8
+        } : {};
+    },
+    /*
+     * Fades annotations as they get older, until they are a year old
+     */
+    age: function (feature) {
+        var time = new Date(feature.properties.time).getTime();
+        if (isNaN(time)) {
+            return {};
+        }
+        var age = (Date.now() - time) / (365 * 24 * 60 * 60 * 1000);
+        var fade = Math.max(0.2, 1 - Math.max(0, age));
+        return {
+            opacity: fade,
+            fillOpacity: 0.5 * fade
+        };
+    }
+};
+
 /**
  * Does the initialisation, storing the OAuth token and adding controls to the
  * map.
  */
 CharmeAnnotator.prototype._init = function () {
+    /*
+     * Used to access the CharmeAnnotator in methods where this gets
+     * overridden
+     */
+    var that = this;
+
     /*
      * Add a layer to view existing annotations on
      */
     this.annotationsGroup = new L.FeatureGroup();
     this.map.addLayer(this.annotationsGroup);
+    this.searchResultsGroup = new L.FeatureGroup();
+    this.map.addLayer(this.searchResultsGroup);
+    if (this.options.clusterPoints) {
+        /*
+         * Point annotations are displayed on their own layer, so that they can
+         * be clustered. Use the Leaflet.markercluster plugin if it is present.
+         */
+        if (L.MarkerClusterGroup) {
+            this.pointsGroup = new L.MarkerClusterGroup({
+                zoomToBoundsOnClick: false
+            });
+        } else {
+            this.pointsGroup = new _ClusterGroup();
+        }
+        this.pointsGroup.on('clusterclick', function (e) {
+            that._showClusterList(e.layer.getLatLng(), e.layer.getAllChildMarkers());
+        });
+        this.map.addLayer(this.pointsGroup);
+    }
+    /*
+     * This replaces the annotation layers when displaying annotation density
+     */
+    this.densityLayer = new _DensityGrid({
+        cellSize: this.options.densityCellSize
+    });
 
     /*
      * This should be called on first load of the page. It handles the case
@@ -92,12 +301,6 @@ CharmeAnnotator.prototype._init = function () {
          */
         this.token = tokenObj['access_token'];
 
-        /*
-         * Used to access the CharmeAnnotator in methods where this gets
-         * overridden
-         */
-        var that = this;
-
         /*
          * Get the user details and call the logged-in callback (if present)
          */
@@ -108,7 +311,15 @@ CharmeAnnotator.prototype._init = function () {
         }).then(function (resp) {
             return resp.json();
         }).then(function (userdetails) {
+            that.userDetails = userdetails;
             that.fire('login', userdetails);
+            /*
+             * The "onlyMine" filter can't match anything until the user's
+             * details are known
+             */
+            if (that.filter.onlyMine) {
+                that.refreshAnnotations();
+            }
         });
 
         /*
@@ -119,11 +330,13 @@ CharmeAnnotator.prototype._init = function () {
         L.drawLocal.draw.toolbar.buttons.polygon = 'Comment on a general region of data';
         L.drawLocal.draw.toolbar.buttons.rectangle = 'Comment on a rectangular region of data';
         L.drawLocal.draw.toolbar.buttons.marker = 'Comment on data at a point';
+        L.drawLocal.draw.toolbar.buttons.polyline = 'Comment on data along a transect';
+        L.drawLocal.draw.toolbar.buttons.circle = 'Comment on a circular region of data';
         this.drawControl = new L.Control.Draw({
             position: 'topleft',
             draw: {
-                polyline: false,
-                circle: false,
+                polyline: true,
+                circle: true,
                 marker: true,
                 polygon: true,
                 rectangle: true
@@ -135,88 +348,451 @@ CharmeAnnotator.prototype._init = function () {
          * Wire up what happens when we add comments
          */
         this.map.on('draw:created', function (drawEvent) {
+            if (that._searchHandler) {
+                /*
+                 * The user is drawing a region to search, not to comment on
+                 */
+                return;
+            }
             /*
              * Create a temporary marker with an open popup
              * containing a form for submitting a comment
              */
-            var tempMarker = featureGroup.addLayer(drawEvent.layer);
-            var popupContent = '<form id="annoForm">' +
-                'Comment:<br>' +
-                '<textarea id="annoComment" name="comment" cols="35" rows="5" wrap="soft" form="form"></textarea>' +
-                '<input id="annoSubmit" type="submit" value="Submit">' +
-                '</form>';
-
-            var popupform = document.getElementById('annoForm');
-            var popup = tempMarker.bindPopup(popupContent, {
-                keepInView: true,
-                closeButton: true
-            });
-
-            popup.openPopup();
-            popup.on('popupclose', function (popupEvent) {
+            featureGroup.addLayer(drawEvent.layer);
+            that._showAnnotationForm(drawEvent.layer, {}, function (values) {
+                that.createAnnotation(drawEvent.layer, values).catch(function (e) {
+                    console.log('Problem creating annotation', e);
+                });
+                featureGroup.removeLayer(drawEvent.layer);
+            }, function () {
                 /*
                  * Remove the temporary marker if the popup is
                  * closed
                  */
-                featureGroup.removeLayer(popupEvent.layer)
+                featureGroup.removeLayer(drawEvent.layer);
+            }, {
+                validateLocation: true
             });
+        });
+    }
+}
 
-            document.getElementById('annoSubmit').addEventListener('click', function (event) {
-                L.DomEvent.preventDefault(event);
-                /*
-                 * When the submit button is
-                 * clicked, get the comment
-                 */
-                var comment = document.getElementById("annoComment").value;
-                console.log(comment);
-                /*
-                 * Get the location of the
-                 * annotation
-                 */
-                var location = _getLocationString(drawEvent.layer);
-                /*
-                 * Convert to TTL format ready
-                 * to post to the CHARMe node
-                 */
-                var ttl = _getTurtle(that.datasetUri, that.datasetVar, location, comment);
+/**
+ * Binds a popup containing the form for entering an annotation to a layer and
+ * opens it.
+ * 
+ * @param layer
+ *            The layer to bind the form to
+ * @param values
+ *            An object containing the initial values of the form fields,
+ *            "comment", "motivation", "tags" and "links".
+ * @param onSubmit
+ *            A function which is called with an object containing the values of
+ *            the form fields when the form is submitted
+ * @param onCancel
+ *            A function which is called if the popup is closed without the form
+ *            being submitted
+ * @param options
+ *            (Optional) An object containing any of the following fields:
+ * 
+ *            "validateLocation" - if true, the layer is checked before the
+ *            form is submitted to make sure that it can be stored as the
+ *            annotation's location (see _validateLocation()). This should only
+ *            be set when the user has drawn the layer, not when it belongs to
+ *            another annotation.
+ * 
+ *            "commentOnly" - if true, only the comment field is shown, e.g. for
+ *            replies, which don't have a type, tags or links
+ */
+CharmeAnnotator.prototype._showAnnotationForm = function (layer, values, onSubmit, onCancel, options) {
+    options = options || {};
+    var form = L.DomUtil.create('form');
+    form.id = 'annoForm';
+    var motivationOptions = '';
+    for (var i = 0; i < this.motivations.length; i++) {
+        motivationOptions += '<option value="' + this.motivations[i].uri + '">' +
+            this.motivations[i].label + '</option>';
+    }
+    var tagCheckboxes = '';
+    for (i = 0; i < this.tagVocabulary.length; i++) {
+        tagCheckboxes += '<label><input type="checkbox" name="tags" value="' +
+            this.tagVocabulary[i].uri + '"' +
+            (values.tags && values.tags.indexOf(this.tagVocabulary[i].uri) >= 0 ? ' checked' : '') +
+            '>' + this.tagVocabulary[i].label + '</label><br>';
+    }
+    var commentOnly = options.commentOnly;
+    form.innerHTML = (commentOnly ? '' : 'Type:<br>' +
+            '<select id="annoMotivation" name="motivation">' + motivationOptions + '</select><br>') +
+        'Comment:<br>' +
+        '<textarea id="annoComment" name="comment" cols="35" rows="5" wrap="soft"></textarea><br>' +
+        (commentOnly ? '' : (tagCheckboxes ? 'Tags:<br><div id="annoTags">' + tagCheckboxes + '</div>' : '') +
+            'Links to publications (URLs or DOIs, one per line):<br>' +
+            '<textarea id="annoLinks" name="links" cols="35" rows="2" wrap="off"></textarea><br>') +
+        '<div id="annoError" class="charme-form-error"></div>' +
+        '<input id="annoSubmit" name="submit" type="submit" value="Submit">';
+    form.elements['comment'].value = values.comment || '';
+    if (!commentOnly) {
+        form.elements['links'].value = (values.links || []).map(function (link) {
+            return link.uri;
+        }).join('\n');
+        if (values.motivation && this._getMotivation(values.motivation)) {
+            form.elements['motivation'].value = values.motivation;
+        }
+    }
 
-                if (!that.token) {
-                    /*
-                     * Technically not necessary any more - we should
-                     * always have the token by this point.
-                     * 
-                     * However, if not, we retrieve it...
-                     */
-                    jso.getToken(function (tkn) {
-                        that.token = tkn.access_token;
-                    });
-                }
+    var that = this;
+    var submitted = false;
+    var cancelled = false;
+    layer.bindPopup(form, {
+        keepInView: true,
+        closeButton: true
+    });
+    layer.openPopup();
+    layer.once('popupclose', function () {
+        if (!submitted) {
+            cancelled = true;
+            onCancel();
+        }
+    });
 
-                /*
-                 * Post the TTL to the CHARMe node
-                 */
-                fetch(that.charmeUrl + 'insert/annotation', {
-                    headers: {
-                        'Content-Type': 'text/turtle',
-                        'Authorization': 'Token ' + that.token,
-                    },
-                    body: ttl,
-                    method: 'post'
-                }).then(function () {
-                    if (that.annotationsOn) {
-                        /*
-                         * Switch annotations off and on again to refresh
-                         */
-                        that.toggleAnnotations();
-                        that.toggleAnnotations();
-                    }
-                }).catch(function (e) {
-                    console.log('Problem creating annotation', e);
-                });
-                featureGroup.removeLayer(drawEvent.layer);
+    L.DomEvent.on(form, 'submit', function (event) {
+        L.DomEvent.preventDefault(event);
+        /*
+         * When the submit button is clicked, check that the shape can be
+         * stored, then get the comment and check that any links are valid
+         */
+        var errorDiv = form.querySelector('#annoError');
+        if (options.validateLocation) {
+            var validation = that._validateLocation(layer);
+            if (validation.errors.length > 0) {
+                that._showGeometryErrors(layer, errorDiv, validation);
+                return;
+            }
+        }
+        var links;
+        try {
+            links = commentOnly ? [] : _parseLinks(form.elements['links'].value);
+        } catch (e) {
+            errorDiv.textContent = e.message;
+            layer.getPopup().update();
+            return;
+        }
+        errorDiv.innerHTML = '';
+
+        var tags = [];
+        var tagInputs = form.querySelectorAll('input[name="tags"]');
+        for (var i = 0; i < tagInputs.length; i++) {
+            if (tagInputs[i].checked) {
+                tags.push(tagInputs[i].value);
+            }
+        }
+
+        /*
+         * Look up the titles of any DOIs before submitting
+         */
+        form.elements['submit'].disabled = true;
+        that._resolveLinks(links).then(function (links) {
+            if (cancelled) {
+                return;
+            }
+            submitted = true;
+            layer.closePopup();
+            onSubmit({
+                comment: form.elements['comment'].value,
+                motivation: commentOnly ? undefined : form.elements['motivation'].value,
+                tags: tags,
+                links: links
             });
         });
+    });
+}
+
+/**
+ * Shows the problems with a drawn shape in the annotation form, with a button
+ * to fix them if possible
+ * 
+ * @param layer
+ *            The drawn object
+ * @param errorDiv
+ *            The element of the form to show the problems in
+ * @param validation
+ *            The result of _validateLocation()
+ */
+CharmeAnnotator.prototype._showGeometryErrors = function (layer, errorDiv, validation) {
+    var that = this;
+    errorDiv.innerHTML = validation.errors.join('<br>');
+    if (validation.fixable) {
+        var fixButton = L.DomUtil.create('button', '', errorDiv);
+        fixButton.type = 'button';
+        fixButton.innerHTML = 'Fix automatically';
+        L.DomEvent.on(fixButton, 'click', function () {
+            _fixGeometry(layer);
+            var result = that._validateLocation(layer);
+            if (result.errors.length > 0) {
+                that._showGeometryErrors(layer, errorDiv, result);
+            } else {
+                errorDiv.innerHTML = '';
+                layer.getPopup().update();
+            }
+        });
+    }
+    layer.getPopup().update();
+}
+
+/**
+ * Looks up the titles of any DOIs in a list of links, using the citation
+ * resolver (if one has been set).
+ * 
+ * @param links
+ *            An array of links, as returned by _parseLinks
+ * @return A Promise which resolves to the links, with the "title" field set
+ *         where it could be resolved
+ */
+CharmeAnnotator.prototype._resolveLinks = function (links) {
+    var resolver = this.citationResolver;
+    return Promise.all(links.map(function (link) {
+        if (!link.doi || !(resolver instanceof Function)) {
+            return link;
+        }
+        return Promise.resolve().then(function () {
+            return resolver(link.doi);
+        }).then(function (title) {
+            if (title) {
+                link.title = String(title);
+            }
+            return link;
+        }).catch(function (e) {
+            console.log('Problem resolving DOI ' + link.doi, e);
+            return link;
+        });
+    }));
+}
+
+/**
+ * Submits a new annotation on the current dataset/variable to the CHARMe node.
+ * The annotation applies to the current time and vertical level, if they have
+ * been set. Fires an "annotation:created" event once it has been accepted.
+ * 
+ * @param layer
+ *            The layer (e.g. a marker or polygon) giving the location of the
+ *            annotation
+ * @param values
+ *            An object containing the fields "comment" and optionally
+ *            "motivation" (a URI), "tags" (an array of tag URIs) and "links"
+ *            (an array of objects with the fields "uri" and optionally
+ *            "title")
+ * @return A Promise which resolves to the URI of the new annotation, or is
+ *         rejected if the layer is not a valid shape (see _validateLocation())
+ */
+CharmeAnnotator.prototype.createAnnotation = function (layer, values) {
+    var that = this;
+    /*
+     * Anything which goes wrong (e.g. the CRS not being available) rejects
+     * the Promise rather than being thrown
+     */
+    return Promise.resolve().then(function () {
+        var validation = that._validateLocation(layer);
+        if (validation.errors.length > 0) {
+            throw new Error(validation.errors.join(' '));
+        }
+        /*
+         * Convert to RDF ready to post to the CHARMe node
+         */
+        var uri = _generateUri(that.options.baseUri);
+        var graph = _getAnnotationGraph({
+            uri: uri,
+            baseUri: that.options.baseUri,
+            datasetUri: that.datasetUri,
+            datasetVar: that.datasetVar,
+            location: that._getLocation(layer),
+            radius: that._getRadius(layer),
+            comment: values.comment,
+            motivation: values.motivation,
+            tags: values.tags,
+            links: values.links,
+            time: that.datasetTime,
+            vertical: that.datasetVertical
+        });
+        return that._postAnnotation('insert/annotation', graph, uri);
+    }).then(function (uri) {
+        that.fire('annotation:created', {
+            uri: uri
+        });
+        return uri;
+    });
+}
+
+/**
+ * Gets the radius (in metres) to store with an annotation. This is only
+ * stored for circles, when they are stored as a point plus radius.
+ */
+CharmeAnnotator.prototype._getRadius = function (layer) {
+    if (this.options.circleFormat === 'point' && _isCircle(layer)) {
+        return layer.getRadius();
+    }
+    return undefined;
+}
+
+/**
+ * Checks that a drawn object can be stored by the CHARMe node. The geometry
+ * which will actually be stored is checked (see _getGeometryErrors()), since
+ * approximating circles, densifying edges and splitting shapes at the
+ * antimeridian can all change it. Repeated vertices in the drawn object are
+ * reported separately, since they can be fixed automatically.
+ * 
+ * @param layer
+ *            The drawn object
+ * @return An object with the fields "errors" (an array of messages, which is
+ *         empty if the object is valid) and "fixable" (true if all of the
+ *         errors can be fixed by _fixGeometry())
+ */
+CharmeAnnotator.prototype._validateLocation = function (layer) {
+    var errors = [];
+    var repeated = _hasRepeatedVertices(layer);
+    if (repeated) {
+        errors.push('The shape has repeated vertices.');
+    }
+    if (_isCircle(layer) && !(layer.getRadius() > 0)) {
+        errors.push('The circle has no area.');
+    } else {
+        try {
+            errors = errors.concat(_getGeometryErrors(_getLocationGeometry(this._densify(layer), this.options)));
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    return {
+        errors: errors,
+        fixable: repeated && errors.length == 1
+    };
+}
+
+/**
+ * Constructs the WKT location string for a drawn object, using the configured
+ * circle format and CRS. Edges are densified first if necessary (see
+ * _densify()).
+ * 
+ * @param layer
+ *            The drawn object
+ */
+CharmeAnnotator.prototype._getLocation = function (layer) {
+    return _getLocationString(this._densify(layer), this.options);
+}
+
+/**
+ * Adds vertices along the edges of a drawn polygon or line, so that edges which
+ * are straight on a map in a projection other than Web Mercator keep their
+ * shape when stored as straight lines in another CRS. Edges are split into
+ * pieces no longer than the "densify" option (in pixels at the current zoom
+ * level).
+ * 
+ * @param layer
+ *            The drawn object
+ * @return A new layer with the extra vertices, or the given layer if it doesn't
+ *         need densifying
+ */
+CharmeAnnotator.prototype._densify = function (layer) {
+    var map = this.map;
+    var maxLength = this.options.densify;
+    if (maxLength === undefined) {
+        /*
+         * Only densify by default on maps in other projections
+         */
+        maxLength = map.options.crs === L.CRS.EPSG3857 ? 0 : 20;
+    }
+    if (!maxLength) {
+        return layer;
+    }
+    var densify = function (latlngs, isRing) {
+        var densified = [];
+        var count = isRing ? latlngs.length : latlngs.length - 1;
+        for (var i = 0; i < count; i++) {
+            var a = map.latLngToLayerPoint(latlngs[i]);
+            var b = map.latLngToLayerPoint(latlngs[(i + 1) % latlngs.length]);
+            var pieces = Math.max(1, Math.ceil(a.distanceTo(b) / maxLength));
+            densified.push(latlngs[i]);
+            for (var j = 1; j < pieces; j++) {
+                densified.push(map.layerPointToLatLng(L.point(a.x + (b.x - a.x) * j / pieces,
+                    a.y + (b.y - a.y) * j / pieces)));
+            }
+        }
+        if (!isRing) {
+            densified.push(latlngs[latlngs.length - 1]);
+        }
+        return densified;
+    };
+    if (_isCircle(layer) || layer.getLatLng) {
+        return layer;
+    } else if (layer instanceof L.Polygon) {
+        return L.polygon(_getRings(layer).map(function (ring) {
+            return densify(ring, true);
+        }));
+    } else if (layer instanceof L.Polyline) {
+        return L.polyline(densify(layer.getLatLngs(), false));
+    } else if (layer.getLayers) {
+        return L.featureGroup(layer.getLayers().map(this._densify, this));
+    }
+    return layer;
+}
+
+/**
+ * Posts an annotation to the CHARMe node, and refreshes the displayed
+ * annotations once it has been accepted.
+ * 
+ * @param endpoint
+ *            The endpoint on the CHARMe node to post to, relative to the node
+ *            URL (e.g. "insert/annotation")
+ * @param graph
+ *            The annotation, as a _Graph. This is serialised in the format
+ *            given by the "rdfFormat" option.
+ * @param uri
+ *            The URI given to the annotation in the graph
+ * @return A Promise which resolves to the URI of the annotation. This is the
+ *         URI returned by the CHARMe node if it assigned a new one, or the
+ *         given URI otherwise.
+ */
+CharmeAnnotator.prototype._postAnnotation = function (endpoint, graph, uri) {
+    var that = this;
+    if (!this.token) {
+        /*
+         * Technically not necessary any more - we should
+         * always have the token by this point.
+         * 
+         * However, if not, we retrieve it...
+         */
+        this.charmeOAuth.getToken(function (tkn) {
+            that.token = tkn.access_token;
+        });
     }
+
+    /*
+     * Post the RDF to the CHARMe node
+     */
+    return fetch(this.charmeUrl + endpoint, {
+        headers: {
+            'Content-Type': RDF_CONTENT_TYPES[this.options.rdfFormat],
+            'Authorization': 'Token ' + this.token,
+        },
+        body: graph.serialise(this.options.rdfFormat),
+        method: 'post'
+    }).then(function (resp) {
+        if (!resp.ok) {
+            throw new Error('CHARMe node returned ' + resp.status + ' ' + resp.statusText);
+        }
+        that.refreshAnnotations();
+        /*
+         * The node returns the URI it has stored the annotation under, either
+         * in the response body or the Location header
+         */
+        var location = resp.headers.get('Location');
+        return resp.text().then(function (text) {
+            text = text.trim();
+            if (/^https?:\/\/\S+$/.test(text)) {
+                return text;
+            }
+            return location || uri;
+        });
+    });
 }
 
 /**
@@ -228,10 +804,71 @@ CharmeAnnotator.prototype._init = function () {
  *            The ID the of variable being commented on
  */
 CharmeAnnotator.prototype.setDatasetDetails = function (uri, variable) {
+    if (uri !== this.datasetUri || variable !== this.datasetVar) {
+        /*
+         * Any annotations still loading are for the old dataset
+         */
+        this.cancelLoading();
+    }
     this.datasetUri = uri;
     this.datasetVar = variable;
 }
 
+/**
+ * Sets the time (or time range) of the data currently being displayed. New
+ * comments will apply to this time, and only annotations which overlap it will
+ * be displayed. If annotations are currently displayed, they are refreshed to
+ * match the new time.
+ * 
+ * @param start
+ *            The time being commented on, or the start of the time range. This
+ *            can be a Date or an ISO8601 string. If this is undefined, the
+ *            time is cleared and comments will apply to all times.
+ * @param end
+ *            (Optional) The end of the time range. If this is not supplied, the
+ *            comment applies to the single time instant given by start.
+ */
+CharmeAnnotator.prototype.setDatasetTime = function (start, end) {
+    if (start === undefined || start === null) {
+        this.datasetTime = undefined;
+    } else {
+        this.datasetTime = {
+            start: _toIsoTime(start),
+            end: _toIsoTime(end !== undefined && end !== null ? end : start)
+        };
+    }
+    this.refreshAnnotations();
+}
+
+/**
+ * Sets the vertical level (or range of levels) of the data currently being
+ * displayed, e.g. a depth or elevation. New comments will apply to this level,
+ * and only annotations which overlap it will be displayed. If annotations are
+ * currently displayed, they are refreshed to match the new level.
+ * 
+ * @param min
+ *            The vertical level being commented on, or the lower bound of the
+ *            vertical range. If this is undefined, the vertical level is
+ *            cleared and comments will apply to all levels.
+ * @param max
+ *            (Optional) The upper bound of the vertical range. If this is not
+ *            supplied, the comment applies to the single level given by min.
+ */
+CharmeAnnotator.prototype.setDatasetVertical = function (min, max) {
+    if (min === undefined || min === null) {
+        this.datasetVertical = undefined;
+    } else {
+        if (max === undefined || max === null) {
+            max = min;
+        }
+        this.datasetVertical = {
+            min: Math.min(min, max),
+            max: Math.max(min, max)
+        };
+    }
+    this.refreshAnnotations();
+}
+
 /**
  * Logs onto the CHARMe node
  */
@@ -250,6 +887,7 @@ CharmeAnnotator.prototype.charmeLogin = function () {
 CharmeAnnotator.prototype.charmeLogout = function () {
     this.charmeOAuth.wipeTokens();
     this.token = undefined;
+    this.userDetails = undefined;
     this.fire('logout');
     this.map.removeControl(this.drawControl);
 }
@@ -259,177 +897,3887 @@ CharmeAnnotator.prototype.charmeLogout = function () {
  * 
  * @param f
  *            A function which takes a single argument which will be an object
- *            containing the fields "text", "firstname", "surname", "email",
- *            "time". It should return a string containing the HTML snippet to
- *            display in the annotation popup
+ *            containing the properties of the annotation. It should return a
+ *            string containing the HTML snippet to display in the annotation
+ *            popup. The properties are:
+ * 
+ *            "anno" - the URI of the annotation
+ *            "text" - the text of the comment
+ *            "motivation" - the URI of the motivation of the annotation
+ *            "tags" - an array of the URIs of the tags of the annotation
+ *            "links" - an array of the publications linked to the annotation,
+ *            each an object with the fields "uri" and "title" (if known)
+ *            "firstname", "surname", "email", "account" - details of the author
+ *            "time" - the time at which the annotation was made
+ *            "temporalStart", "temporalEnd" - the time range the annotation
+ *            applies to (only present if it applies to a particular time range)
+ *            "verticalMin", "verticalMax" - the vertical range the annotation
+ *            applies to (only present if it applies to a particular range)
  */
 CharmeAnnotator.prototype.setFormatAnnotation = function (f) {
     this.formatAnnotation = f;
 }
 
 /**
- * Toggles the available annotations on/off. Use isAnnotationsOn() to check the
- * current state
+ * Sets the motivations which users can choose from when creating an
+ * annotation.
+ * 
+ * @param motivations
+ *            An array of objects, each containing the fields "uri" (the URI of
+ *            the motivation), "label" (a human-readable name) and optionally
+ *            "color" (the colour used to display annotations with this
+ *            motivation). The first is selected by default. Defaults to
+ *            CharmeAnnotator.MOTIVATIONS
  */
-CharmeAnnotator.prototype.toggleAnnotations = function () {
-    if (this.annotationsOn) {
-        /*
-         * If annotations are already on, clear them from the map
-         */
-        this.annotationsGroup.clearLayers();
-        this.annotationsOn = false;
-    } else {
-        /*
-         * Otherwise, query the CHARMe node and retrieve the results in GeoJSON
-         * format
-         */
-        var that = this;
-        fetch(this.charmeUrl + 'sparql?format=GeoJSON&query=' + encodeURIComponent(_getQuery(this.datasetUri, this.datasetVar)), {
-            'headers': {
-                'Accept': 'application/json'
+CharmeAnnotator.prototype.setMotivations = function (motivations) {
+    this.motivations = motivations;
+}
+
+/**
+ * Sets how displayed annotations are styled. Annotations which are already
+ * displayed are restyled.
+ * 
+ * @param style
+ *            A function which takes the GeoJSON feature of an annotation and
+ *            returns Leaflet path options (e.g. "color" and "fillOpacity"), the
+ *            name of one of the built-in styles in CharmeAnnotator.STYLES
+ *            ("motivation", "mine" or "age"), or an array of these. When an
+ *            array is given, the options from each are combined, with later
+ *            ones taking priority. Defaults to "motivation".
+ */
+CharmeAnnotator.prototype.setStyle = function (style) {
+    var styles = (style instanceof Array ? style : [style]).map(function (s) {
+        if (typeof s === 'string') {
+            if (!CharmeAnnotator.STYLES[s]) {
+                throw new Error('Unknown style: ' + s);
             }
-        }).then(function (resp) {
-            return resp.json();
-        }).then(function (resp) {
-            var style = {
-                "fillOpacity": 0.5
-            }
-            L.geoJson(resp, {
-                style: style,
-                onEachFeature: function (feature, layer) {
-                    if (feature.properties) {
-                        var p = feature.properties;
-                        var popupText = ''
-                        if (that.formatAnnotation && that.formatAnnotation instanceof Function) {
-                            /*
-                             * We can either use a user-supplied
-                             * format for the annotation...
-                             */
-                            popupText = that.formatAnnotation(p);
-                        } else {
-                            /*
-                             * ...or use this default format
-                             */
-                            if (p.text) {
-                                popupText += p.text + '<br><br>';
-                            }
-                            if (p.time) {
-                                popupText += 'Annotated at ' + p.time + ' by:<br>';
-                            }
-                            if (p.email) {
-                                popupText += '<a href="mailto:' + p.email + '">';
-                            }
-                            if (p.firstname && p.surname) {
-                                popupText += '<b>' + p.firstname + ' ' + p.surname + '</b><br>';
-                            }
-                            if (p.email) {
-                                popupText += '</a>';
-                            }
-                        }
-                        layer.bindPopup(popupText);
-                    }
-                }
-            }).addTo(that.annotationsGroup);
-        });
-        this.annotationsOn = true;
+            return CharmeAnnotator.STYLES[s];
+        }
+        return s;
+    });
+    this.styleFunctions = styles;
+    for (var uri in this.annotationLayers) {
+        var layer = this.annotationLayers[uri];
+        if (layer.setStyle) {
+            layer.setStyle(this._getStyle(layer.feature));
+        }
     }
 }
 
 /**
- * Checks whether annotations are currently displayed on the map.
+ * Sets the function used to create the layers which display point
+ * annotations. Displayed annotations are reloaded.
+ * 
+ * @param f
+ *            A function which takes the GeoJSON feature of an annotation, its
+ *            L.LatLng and the path options given by the current style (see
+ *            setStyle()), and returns a layer (e.g. an L.CircleMarker). If
+ *            this is undefined, default markers are used. Note that only
+ *            L.Marker layers are clustered.
  */
-CharmeAnnotator.prototype.isAnnotationsOn = function () {
-    return this.annotationsOn;
+CharmeAnnotator.prototype.setPointToLayer = function (f) {
+    this.pointToLayer = f;
+    this.refreshAnnotations();
 }
 
 /**
- * Construct the SPARQL query to get all annotations for the current dataset/variable
- */
-var _getQuery = function (datasetUri, datasetVariable) {
-    var query = 'PREFIX charme: <http://purl.org/voc/charme#> ' +
-        'PREFIX oa: <http://www.w3.org/ns/oa#> ' +
-        'PREFIX geo: <http://www.opengis.net/ont/geosparql#> ' +
-        'PREFIX geof: <http://www.opengis.net/def/function/geosparql/> ' +
-        'PREFIX cnt: <http://www.w3.org/2011/content#> ' +
-        'PREFIX foaf: <http://xmlns.com/foaf/0.1/> ' +
-        'SELECT ?wkt ?text ?firstname ?surname ?email ?time ?account ' +
-        'WHERE { ' +
-        '    ?anno oa:hasBody ?body . ' +
-        '    ?anno oa:annotatedBy ?authorUri . ' +
-        '    ?anno oa:annotatedAt ?time . ' +
-        '    ?authorUri foaf:givenName ?firstname . ' +
-        '    ?authorUri foaf:familyName ?surname . ' +
-        '    ?authorUri foaf:accountName ?account . ' +
-        '    ?body cnt:chars ?text . ' +
-        '    ?anno oa:hasTarget ?target . ' +
-        '    ?target oa:hasSelector ?selector . ' +
-        '    ?selector charme:hasSpatialExtent ?sp . ' +
-        '    ?sp geo:hasGeometry ?geometry . ' +
-        '    ?geometry geo:asWKT ?wkt . ' +
-        '    ?datasetUri a charme:dataset . ' +
-        '    ?selector charme:hasVariable ?variableUri . ' +
-        '    ?variableUri charme:hasInternalName ?variableName . ' +
-        '    ?authorUri foaf:mbox ?email . ' +
-        'FILTER(?variableName="' + datasetVariable + '") . ' +
-        'FILTER(str(?datasetUri)="' + datasetUri + '") . ' + '} ';
-    return query;
+ * Gets the Leaflet path options for an annotation from the style functions
+ * 
+ * @param feature
+ *            The GeoJSON feature representing the annotation
+ */
+CharmeAnnotator.prototype._getStyle = function (feature) {
+    var style = {
+        fillOpacity: 0.5
+    };
+    for (var i = 0; i < this.styleFunctions.length; i++) {
+        L.extend(style, this.styleFunctions[i].call(this, feature));
+    }
+    return style;
+}
+
+/**
+ * Sets the controlled vocabulary of keywords which users can tag annotations
+ * with.
+ * 
+ * @param tags
+ *            An array of objects, each containing the fields "uri" (the URI of
+ *            the keyword, e.g. a SKOS concept) and "label" (a human-readable
+ *            name). If this is empty, tagging is not offered to users.
+ */
+CharmeAnnotator.prototype.setTagVocabulary = function (tags) {
+    this.tagVocabulary = tags || [];
 }
 
 /**
- * Constructs the WKT location string for a drawn object 
+ * Sets the tags used to filter the displayed annotations. Only annotations
+ * tagged with at least one of the given tags are displayed. If annotations
+ * are currently displayed, they are refreshed to match the new tags.
+ * 
+ * @param tagUris
+ *            An array of tag URIs. If this is undefined or empty, annotations
+ *            are not filtered by tag.
  */
-var _getLocationString = function (layer) {
-    if (layer instanceof L.Marker) {
-        return 'POINT (' + layer.getLatLng()['lng'] + ' ' + layer.getLatLng()['lat'] + ')'
-    } else if (layer instanceof L.Polyline) {
-        // Reverse order of points to ensure they are anti-clockwise
-        var poly = 'POLYGON ((';
-        var latlngs = layer.getLatLngs();
-        for (var i = latlngs.length - 1; i >= 0; i--) {
-            // Be careful here - may need to reverse the order for Strabon
-            var latlng = latlngs[i];
-            poly = poly + latlng['lng'] + ' ' + latlng['lat'] + ', ';
-        }
-        poly = poly + latlngs[latlngs.length - 1]['lng'] + ' ' + latlngs[latlngs.length - 1]['lat'] + '))';
-        return poly;
-    }
-}
-
-/**
- * Constructs the turtle needed to insert an annotation.
- */
-var _getTurtle = function (datasetUri, datasetVar,
-    location, comment) {
-    var ttl = '@prefix chnode: <http://localhost/> .' +
-        '@prefix charme: <http://purl.org/voc/charme#> .' +
-        '@prefix oa: <http://www.w3.org/ns/oa#> .' +
-        '@prefix prov: <http://www.w3.org/ns/prov#> .' +
-        '@prefix xsd: <http://www.w3.org/2001/XML-Schema#> .' +
-        '@prefix geo: <http://www.opengis.net/ont/geosparql#> .' +
-        '@prefix cnt: <http://www.w3.org/2011/content#> .' +
-        '@prefix dc: <http://purl.org/dc/elements/1.1/> .' +
-        '@prefix dctypes: <http://purl.org/dc/dcmitype/> .' +
-        '<chnode:annoID> a oa:Annotation ;' +
-        '    oa:hasTarget <chnode:targetID> ;' +
-        '    oa:hasBody <chnode:bodyID> ;' +
-        '    oa:motivatedBy oa:linking .' +
-        '<chnode:targetID> a charme:DatasetSubset ;' +
-        '    oa:hasSource <' + datasetUri + '> ;' +
-        '    oa:hasSelector <chnode:subsetSelectorID> .' +
-        '<' + datasetUri + '> a charme:dataset .' +
-        '<chnode:subsetSelectorID> a charme:SubsetSelector ;' +
-        '    charme:hasVariable <chnode:variableID-01> ;' +
-        '    charme:hasSpatialExtent <chnode:spatialExtentID-01> .' +
-        '<chnode:bodyID> a cnt:ContentAsText, dctypes:Text ;' +
-        '    cnt:chars "' + comment + '" ;' +
-        '    dc:format "text/plain" .    ' +
-        '<chnode:variableID-01> a charme:Variable ;' +
-        '    charme:hasInternalName "' + datasetVar + '" .' +
-        '<chnode:spatialExtentID-01> a charme:SpatialExtent ;' +
-        '    geo:hasGeometry <chnode:geometryID-01> .' +
-        '<chnode:geometryID-01> a geo:Geometry ;' +
-        '    geo:asWKT "' + location + '"^^geo:wktLiteral .';
-    return ttl;
+CharmeAnnotator.prototype.setTagFilter = function (tagUris) {
+    this.tagFilter = tagUris && tagUris.length > 0 ? tagUris : undefined;
+    this.refreshAnnotations();
+}
+
+/**
+ * Sets the filter used to choose which annotations are displayed (and found
+ * by searches). If annotations are currently displayed, they are refreshed to
+ * match the new filter.
+ * 
+ * @param filter
+ *            An object with any of the fields "accounts" (an array of account
+ *            names - only annotations by these users are displayed), "from"
+ *            and "to" (Dates or ISO8601 strings - only annotations made within
+ *            this range are displayed), "motivations" (an array of motivation
+ *            URIs - only annotations with one of these motivations are
+ *            displayed) and "onlyMine" (if true, only annotations by the
+ *            logged-in user are displayed). If this is undefined, annotations
+ *            are not filtered.
+ */
+CharmeAnnotator.prototype.setFilter = function (filter) {
+    this.filter = filter || {};
+    this.refreshAnnotations();
+}
+
+/**
+ * Builds the parameters for _getQuery() from the current dataset details and
+ * filters
+ * 
+ * @param params
+ *            (Optional) Any extra parameters to add
+ */
+CharmeAnnotator.prototype._getQueryParams = function (params) {
+    var filter = this.filter;
+    var accounts = filter.accounts && filter.accounts.length > 0 ? filter.accounts : undefined;
+    if (filter.onlyMine) {
+        /*
+         * If nobody is logged in, nothing can match
+         */
+        var mine = this.token && this.userDetails ? this.userDetails['username'] : undefined;
+        accounts = (accounts || [mine]).filter(function (account) {
+            return mine !== undefined && account === mine;
+        });
+    }
+    return L.extend({
+        datasetUri: this.datasetUri,
+        datasetVar: this.datasetVar,
+        time: this.datasetTime,
+        vertical: this.datasetVertical,
+        tags: this.tagFilter,
+        accounts: accounts,
+        annotatedFrom: filter.from !== undefined && filter.from !== null ? _toIsoTime(filter.from) : undefined,
+        annotatedTo: filter.to !== undefined && filter.to !== null ? _toIsoTime(filter.to) : undefined,
+        motivations: filter.motivations && filter.motivations.length > 0 ? filter.motivations : undefined
+    }, params);
+}
+
+/**
+ * Sets the function used to look up the titles of DOIs which users attach to
+ * annotations.
+ * 
+ * @param f
+ *            A function which takes a single argument, a DOI (e.g.
+ *            "10.1000/xyz123"), and returns either its title or a Promise
+ *            which resolves to its title
+ */
+CharmeAnnotator.prototype.setCitationResolver = function (f) {
+    this.citationResolver = f;
+}
+
+/**
+ * Gets the human-readable label of a tag from the tag vocabulary, or the URI
+ * if it is not present. The label is used as HTML, so the URI (which may have
+ * been written by another client) is escaped.
+ */
+CharmeAnnotator.prototype._getTagLabel = function (uri) {
+    for (var i = 0; i < this.tagVocabulary.length; i++) {
+        if (this.tagVocabulary[i].uri === uri) {
+            return this.tagVocabulary[i].label;
+        }
+    }
+    return _escapeHtml(uri);
+}
+
+/**
+ * Gets the motivation with the given URI from the configured motivations, or
+ * undefined if it is not present
+ */
+CharmeAnnotator.prototype._getMotivation = function (uri) {
+    for (var i = 0; i < this.motivations.length; i++) {
+        if (this.motivations[i].uri === uri) {
+            return this.motivations[i];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Toggles the available annotations on/off. Use isAnnotationsOn() to check the
+ * current state
+ */
+CharmeAnnotator.prototype.toggleAnnotations = function () {
+    if (this.annotationsOn) {
+        /*
+         * If annotations are already on, clear them from the map
+         */
+        this._clearAnnotations();
+        this.annotationsOn = false;
+        if (this.options.loadInViewport) {
+            this.map.off('moveend', this._onMoveEnd, this);
+            clearTimeout(this._refreshTimer);
+        }
+    } else {
+        /*
+         * Otherwise, query the CHARMe node and display the results
+         */
+        this.annotationsOn = true;
+        this._loadAnnotations();
+        if (this.options.loadInViewport) {
+            /*
+             * Load any more annotations which come into view as the map moves
+             */
+            this.map.on('moveend', this._onMoveEnd, this);
+        }
+    }
+}
+
+/**
+ * Reloads the displayed annotations from the CHARMe node, e.g. after the
+ * dataset or filter has changed. Does nothing if annotations are not on.
+ */
+CharmeAnnotator.prototype.refreshAnnotations = function () {
+    if (this.annotationsOn) {
+        this._clearAnnotations();
+        this._loadAnnotations();
+    }
+}
+
+/**
+ * Cancels any load in progress and removes all annotations from the map. Fires
+ * "annotations:cleared".
+ */
+CharmeAnnotator.prototype._clearAnnotations = function () {
+    this.cancelLoading();
+    this.annotationsGroup.clearLayers();
+    if (this.pointsGroup) {
+        this.pointsGroup.clearLayers();
+    }
+    this.annotationLayers = {};
+    this.fire('annotations:cleared');
+}
+
+/**
+ * Switches between displaying the annotations themselves and displaying a
+ * grid showing how many annotations there are in each area of the map.
+ * 
+ * @param mode
+ *            Either "features" (the default) to display each annotation, or
+ *            "density" to display the number of annotations in each grid cell
+ */
+CharmeAnnotator.prototype.setDisplayMode = function (mode) {
+    if (mode !== 'features' && mode !== 'density') {
+        throw new Error('Unknown display mode: ' + mode);
+    }
+    if (mode === this.displayMode) {
+        return;
+    }
+    this.displayMode = mode;
+    var featureLayers = [this.annotationsGroup, this.pointsGroup].filter(function (layer) {
+        return layer;
+    });
+    if (mode === 'density') {
+        featureLayers.forEach(this.map.removeLayer, this.map);
+        this.map.addLayer(this.densityLayer);
+        this.on('annotations:progress annotations:cleared annotation:deleted', this._updateDensity, this);
+        this._updateDensity();
+    } else {
+        this.off('annotations:progress annotations:cleared annotation:deleted', this._updateDensity, this);
+        this.map.removeLayer(this.densityLayer);
+        featureLayers.forEach(this.map.addLayer, this.map);
+    }
+}
+
+/**
+ * Updates the density grid with the locations of the displayed annotations
+ */
+CharmeAnnotator.prototype._updateDensity = function () {
+    var latLngs = [];
+    for (var uri in this.annotationLayers) {
+        latLngs.push(_getCentroid(this.annotationLayers[uri]));
+    }
+    this.densityLayer.setLatLngs(latLngs);
+}
+
+/**
+ * Called when the map has been panned or zoomed while annotations are being
+ * loaded for the current viewport. Loads annotations for the new viewport once
+ * the map has stopped moving for the configured delay.
+ */
+CharmeAnnotator.prototype._onMoveEnd = function () {
+    var that = this;
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(function () {
+        that._loadAnnotations();
+    }, this.options.refreshDelay);
+}
+
+/**
+ * Queries the CHARMe node for annotations on the current dataset/variable and
+ * adds them to the map. Annotations which are already displayed are kept.
+ * 
+ * Annotations are loaded in pages of the configured size, and each page is
+ * displayed as it arrives. Fires "annotations:loading" when loading starts,
+ * "annotations:progress" after each page and "annotations:loaded" once all
+ * pages have been loaded. Any load which is already in progress is cancelled.
+ */
+CharmeAnnotator.prototype._loadAnnotations = function () {
+    this.cancelLoading();
+
+    var that = this;
+    var loadId = this._loadId;
+    var controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+    this._loadController = controller;
+
+    var query;
+    var pageSize = this.options.pageSize;
+    var count = 0;
+
+    var loadPage = function (offset) {
+        if (pageSize) {
+            query.limit(pageSize).offset(offset);
+        }
+        return that._fetchFeatures(query, controller && controller.signal).then(function (features) {
+            if (loadId !== that._loadId) {
+                /*
+                 * This load has been cancelled
+                 */
+                return;
+            }
+            count += that._addFeatures(features);
+            that.fire('annotations:progress', {
+                loaded: count
+            });
+            /*
+             * Go by the number of results rather than features, since results
+             * which can't be displayed are skipped
+             */
+            if (pageSize && features.rows >= pageSize) {
+                return loadPage(offset + pageSize);
+            }
+            that._loadController = undefined;
+            that.fire('annotations:loaded', {
+                loaded: count
+            });
+        });
+    };
+
+    this.fire('annotations:loading');
+    /*
+     * Build the query inside the Promise chain, so that problems with it (e.g.
+     * the dataset not having been set) are reported in the same way as
+     * problems loading the annotations
+     */
+    Promise.resolve().then(function () {
+        query = _getQuery(that._getQueryParams({
+            bounds: that.options.loadInViewport ? that.map.getBounds() : undefined
+        }));
+        /*
+         * Order by annotation so that all of the results for an annotation are
+         * together. An annotation has a result for each of its tags and links,
+         * so these are ordered too, so that the order is the same for every
+         * page and no result is skipped or repeated between pages.
+         */
+        query.orderBy('?anno').orderBy('?tag').orderBy('?link').orderBy('?linkTitle');
+        return loadPage(0);
+    }).catch(function (e) {
+        if (loadId === that._loadId) {
+            console.log('Problem loading annotations', e);
+        }
+    });
+}
+
+/**
+ * Lets the user draw a region on the map, and then finds all annotations on
+ * the current dataset/variable which have the given spatial relationship with
+ * it (see findAnnotations()).
+ * 
+ * @param shape
+ *            The shape for the user to draw, either "rectangle" (the default)
+ *            or "polygon"
+ * @param relation
+ *            The spatial relationship between the annotations and the drawn
+ *            region, either "intersects" (the default), "contains" or "within"
+ */
+CharmeAnnotator.prototype.startSpatialSearch = function (shape, relation) {
+    var that = this;
+    var map = this.map;
+    this.cancelSpatialSearch();
+
+    var handler = shape == 'polygon' ? new L.Draw.Polygon(map) : new L.Draw.Rectangle(map);
+    this._searchHandler = handler;
+
+    var onCreated = function (drawEvent) {
+        if (that._searchHandler === handler) {
+            that.findAnnotations(drawEvent.layer, relation).catch(function (e) {
+                console.log('Problem searching annotations', e);
+            });
+        }
+    };
+    /*
+     * Leaflet.draw fires draw:drawstop after draw:created, or on its own if
+     * drawing was cancelled
+     */
+    var onStop = function () {
+        map.off('draw:created', onCreated);
+        map.off('draw:drawstop', onStop);
+        if (that._searchHandler === handler) {
+            that._searchHandler = undefined;
+        }
+    };
+    map.on('draw:created', onCreated);
+    map.on('draw:drawstop', onStop);
+    handler.enable();
+}
+
+/**
+ * Cancels a spatial search started with startSpatialSearch(), if the user is
+ * still drawing the search region
+ */
+CharmeAnnotator.prototype.cancelSpatialSearch = function () {
+    if (this._searchHandler) {
+        this._searchHandler.disable();
+        this._searchHandler = undefined;
+    }
+}
+
+/**
+ * Finds all annotations on the current dataset/variable (and time and vertical
+ * level, if set) which have a spatial relationship with a region. The results
+ * are highlighted on the map and a "search:results" event is fired containing
+ * the GeoJSON features of the annotations found.
+ * 
+ * @param region
+ *            The region to search, either as a layer (e.g. a polygon) or a WKT
+ *            string
+ * @param relation
+ *            The spatial relationship between the annotations and the region.
+ *            "intersects" (the default) finds annotations which intersect the
+ *            region, "contains" finds annotations which contain the region, and
+ *            "within" finds annotations which lie within the region
+ * @return A Promise which resolves to the array of GeoJSON features found, or
+ *         is rejected if the region or relation is invalid
+ */
+CharmeAnnotator.prototype.findAnnotations = function (region, relation) {
+    var that = this;
+    var wkt;
+    /*
+     * Problems with the region or relation reject the Promise rather than
+     * being thrown
+     */
+    return Promise.resolve().then(function () {
+        wkt = typeof region === 'string' ? region : that._getLocation(region);
+        return that._fetchFeatures(_getQuery(that._getQueryParams({
+            region: {
+                wkt: wkt,
+                relation: relation || 'intersects'
+            }
+        })));
+    }).then(function (features) {
+        features = _mergeFeatures(features);
+        that._showSearchResults(features, typeof region === 'string' ? undefined : region);
+        that.fire('search:results', {
+            features: features,
+            region: wkt,
+            relation: relation || 'intersects'
+        });
+        return features;
+    });
+}
+
+/**
+ * Finds all annotations on the current dataset/variable (and time and vertical
+ * level, if set) whose text contains the given words. The results are
+ * highlighted on the map and a "search:results" event is fired containing the
+ * GeoJSON features of the annotations found.
+ * 
+ * @param text
+ *            The text to search for. Only annotations containing every word of
+ *            this text are found.
+ * @param options
+ *            (Optional) An object with the fields "caseSensitive" (false by
+ *            default), "fitBounds" (true by default - whether to zoom the map
+ *            to fit the annotations found) and "maxZoom" (8 by default - the
+ *            furthest the map will zoom in to fit them)
+ * @return A Promise which resolves to the array of GeoJSON features found
+ */
+CharmeAnnotator.prototype.searchAnnotations = function (text, options) {
+    var that = this;
+    options = L.extend({
+        caseSensitive: false,
+        fitBounds: true,
+        maxZoom: 8
+    }, options);
+    var words = String(text).split(/\s+/).filter(function (word) {
+        return word;
+    });
+    if (words.length == 0) {
+        return Promise.reject(new Error('No text to search for'));
+    }
+    return Promise.resolve().then(function () {
+        return that._fetchFeatures(_getQuery(that._getQueryParams({
+            text: {
+                words: words,
+                caseSensitive: options.caseSensitive
+            }
+        })));
+    }).then(function (features) {
+        features = _mergeFeatures(features);
+        that._showSearchResults(features);
+        if (options.fitBounds && features.length > 0) {
+            that.map.fitBounds(that.searchResultsGroup.getBounds(), {
+                maxZoom: options.maxZoom
+            });
+        }
+        that.fire('search:results', {
+            features: features,
+            text: text
+        });
+        return features;
+    });
+}
+
+/**
+ * Highlights the results of a search on the map, replacing any previous
+ * results.
+ * 
+ * @param features
+ *            The GeoJSON features of the annotations found
+ * @param region
+ *            (Optional) The layer which was searched, which is outlined
+ */
+CharmeAnnotator.prototype._showSearchResults = function (features, region) {
+    var that = this;
+    this.clearSearchResults();
+    if (region) {
+        this.searchResultsGroup.addLayer(L.geoJson(region.toGeoJSON(), {
+            style: {
+                color: '#000000',
+                weight: 2,
+                dashArray: '5, 5',
+                fill: false,
+                clickable: false
+            }
+        }));
+    }
+    L.geoJson({
+        type: 'FeatureCollection',
+        features: this._wrapFeatures(features)
+    }, {
+        style: {
+            color: '#ffcc00',
+            weight: 4,
+            fillOpacity: 0.3
+        },
+        pointToLayer: function (feature, latlng) {
+            if (feature.properties && feature.properties.radius) {
+                return L.circle(latlng, parseFloat(feature.properties.radius));
+            }
+            return L.circleMarker(latlng, {
+                radius: 10,
+                color: '#ffcc00',
+                weight: 4,
+                fillOpacity: 0.3
+            });
+        },
+        onEachFeature: function (feature, layer) {
+            layer.bindPopup(that._getPopupContent(feature, layer));
+            layer.on('popupopen', function () {
+                that._loadReplies(feature, layer.getPopup());
+            });
+            that.searchResultsGroup.addLayer(layer);
+        }
+    });
+}
+
+/**
+ * Removes the results of a search from the map
+ */
+CharmeAnnotator.prototype.clearSearchResults = function () {
+    this.searchResultsGroup.clearLayers();
+}
+
+/**
+ * Queries the CHARMe node for annotations. Depending on the "resultsFormat"
+ * option, the results are retrieved in the node's GeoJSON format or in the
+ * standard SPARQL JSON results format (which is converted to GeoJSON). In
+ * "auto" mode GeoJSON is tried first, and if the node doesn't support it (it
+ * rejects the request with 400, 406, 415 or 501, or doesn't return GeoJSON)
+ * the standard format is used from then on. Other errors, such as network
+ * errors or temporary server errors, are passed on.
+ * 
+ * @param query
+ *            The query to run, as a _Query
+ * @param signal
+ *            (Optional) An AbortSignal which can be used to cancel the request
+ * @return A Promise which resolves to the array of GeoJSON features returned.
+ *         Note that an annotation may be returned as several features - see
+ *         _mergeFeatures(). The array has a "rows" field giving the number of
+ *         results the node returned, which may be more than the number of
+ *         features if some results couldn't be converted to GeoJSON.
+ */
+CharmeAnnotator.prototype._fetchFeatures = function (query, signal) {
+    var that = this;
+    var format = this.options.resultsFormat == 'auto' ? this._resultsFormat : this.options.resultsFormat;
+    if (format == 'sparql') {
+        return this._runQuery(query, signal).then(function (bindings) {
+            var features = _getFeaturesFromBindings(bindings);
+            features.rows = bindings.length;
+            return features;
+        });
+    }
+    var geoJson = fetch(this.charmeUrl + 'sparql?format=GeoJSON&query=' + encodeURIComponent(query.toString()), {
+        'headers': {
+            'Accept': 'application/json'
+        },
+        'signal': signal
+    }).then(function (resp) {
+        if (!resp.ok) {
+            var error = new Error('CHARMe node returned ' + resp.status + ' ' + resp.statusText);
+            error.unsupported = [400, 406, 415, 501].indexOf(resp.status) >= 0;
+            throw error;
+        }
+        return resp.json().catch(function (e) {
+            if (e.name == 'SyntaxError') {
+                e.unsupported = true;
+            }
+            throw e;
+        });
+    }).then(function (resp) {
+        if (!resp || !(resp.features instanceof Array)) {
+            var error = new Error('CHARMe node did not return GeoJSON');
+            error.unsupported = true;
+            throw error;
+        }
+        resp.features.rows = resp.features.length;
+        return resp.features;
+    });
+    if (format == 'geojson') {
+        return geoJson;
+    }
+    return geoJson.then(function (features) {
+        that._resultsFormat = 'geojson';
+        return features;
+    }, function (e) {
+        if (!e.unsupported) {
+            throw e;
+        }
+        console.log('Problem retrieving GeoJSON, using SPARQL JSON results instead', e);
+        that._resultsFormat = 'sparql';
+        return that._fetchFeatures(query, signal);
+    });
+}
+
+
+/**
+ * Cancels any load of annotations which is in progress. Annotations which have
+ * already been loaded remain on the map. This is called automatically when the
+ * dataset changes or annotations are switched off.
+ */
+CharmeAnnotator.prototype.cancelLoading = function () {
+    this._loadId++;
+    if (this._loadController) {
+        this._loadController.abort();
+        this._loadController = undefined;
+    }
+}
+
+/**
+ * Adds GeoJSON features representing annotations to the map. If an annotation
+ * is already displayed, any new tags or links are added to it instead.
+ * 
+ * @param features
+ *            The GeoJSON features returned from the annotation query
+ * @return The number of new annotations added
+ */
+CharmeAnnotator.prototype._addFeatures = function (features) {
+    var that = this;
+    /*
+     * Annotations with several tags are returned once per tag
+     */
+    var newFeatures = _mergeFeatures(features).filter(function (feature) {
+        var existing = that.annotationLayers[feature.properties.anno];
+        if (existing) {
+            /*
+             * The results for this annotation were split between pages
+             */
+            if (_mergeProperties(existing.feature.properties, feature.properties)) {
+                existing.bindPopup(that._getPopupContent(existing.feature, existing));
+            }
+            return false;
+        }
+        return true;
+    });
+    L.geoJson({
+        type: 'FeatureCollection',
+        features: this._wrapFeatures(newFeatures)
+    }, {
+        style: function (feature) {
+            return that._getStyle(feature);
+        },
+        pointToLayer: function (feature, latlng) {
+            if (feature.properties && feature.properties.radius) {
+                return L.circle(latlng, parseFloat(feature.properties.radius));
+            }
+            if (that.pointToLayer) {
+                return that.pointToLayer(feature, latlng, that._getStyle(feature));
+            }
+            return L.marker(latlng);
+        },
+        onEachFeature: function (feature, layer) {
+            if (feature.properties) {
+                layer.bindPopup(that._getPopupContent(feature, layer));
+                if (feature.properties.anno) {
+                    that.annotationLayers[feature.properties.anno] = layer;
+                    /*
+                     * Replies are only loaded when they are needed
+                     */
+                    layer.on('popupopen', function () {
+                        that._loadReplies(feature, layer.getPopup());
+                    });
+                    layer.on('mouseover', function () {
+                        that.fire('annotation:mouseover', {
+                            uri: feature.properties.anno
+                        });
+                    });
+                    layer.on('mouseout', function () {
+                        that.fire('annotation:mouseout', {
+                            uri: feature.properties.anno
+                        });
+                    });
+                }
+            }
+            that._getGroupFor(layer).addLayer(layer);
+        }
+    });
+    return newFeatures.length;
+}
+
+/**
+ * Moves features which cross the antimeridian, or are on the other side of it
+ * from the centre of the map, so that they are displayed in one piece next to
+ * the current view
+ * 
+ * @param features
+ *            An array of GeoJSON features
+ * @return An array of new features, sharing the properties of the originals
+ */
+CharmeAnnotator.prototype._wrapFeatures = function (features) {
+    var centreLng = this.map.getCenter().lng;
+    return features.map(function (feature) {
+        return L.extend({}, feature, {
+            geometry: _wrapGeometry(feature.geometry, centreLng)
+        });
+    });
+}
+
+/**
+ * Gets the layer group which a displayed annotation belongs in. This is the
+ * clustered points group for point annotations (if clustering is enabled) and
+ * annotationsGroup otherwise.
+ */
+CharmeAnnotator.prototype._getGroupFor = function (layer) {
+    if (this.pointsGroup && layer instanceof L.Marker) {
+        return this.pointsGroup;
+    }
+    return this.annotationsGroup;
+}
+
+/**
+ * Opens a popup listing the annotations in a cluster of point annotations.
+ * Clicking on an annotation in the list shows it in full.
+ * 
+ * @param latlng
+ *            The location of the cluster
+ * @param markers
+ *            The markers of the annotations in the cluster
+ */
+CharmeAnnotator.prototype._showClusterList = function (latlng, markers) {
+    var that = this;
+    var map = this.map;
+    var container = L.DomUtil.create('div', 'charme-cluster-list');
+    L.DomUtil.create('b', '', container).innerHTML = markers.length + ' annotations:';
+    var list = L.DomUtil.create('ul', '', container);
+    markers.forEach(function (marker) {
+        var p = marker.feature ? marker.feature.properties : {};
+        var item = L.DomUtil.create('li', '', list);
+        var link = L.DomUtil.create('a', '', item);
+        link.href = '#';
+        /*
+         * Use textContent so that the snippet can't contain broken HTML
+         */
+        link.textContent = _getSnippet(p.text);
+        if (p.firstname && p.surname) {
+            item.appendChild(document.createTextNode(' (' + p.firstname + ' ' + p.surname + ')'));
+        }
+        L.DomEvent.on(link, 'click', function (event) {
+            L.DomEvent.preventDefault(event);
+            /*
+             * The marker itself isn't on the map
+             */
+            that._openStandalonePopup(marker.feature, marker, marker.getLatLng());
+        });
+    });
+    map.openPopup(L.popup().setLatLng(latlng).setContent(container));
+}
+
+
+/**
+ * Zooms the map to a displayed annotation and opens its popup
+ * 
+ * @param uri
+ *            The URI of the annotation
+ * @param options
+ *            (Optional) An object with the field "maxZoom" (8 by default - the
+ *            furthest the map will zoom in to show the annotation)
+ */
+CharmeAnnotator.prototype.showAnnotation = function (uri, options) {
+    var layer = this.annotationLayers[uri];
+    if (!layer) {
+        return;
+    }
+    options = L.extend({
+        maxZoom: 8
+    }, options);
+    var that = this;
+    var map = this.map;
+    var openPopup = function () {
+        if (map.hasLayer(layer)) {
+            layer.openPopup();
+        } else {
+            /*
+             * The annotation is hidden in a cluster or by the density display
+             */
+            that._openStandalonePopup(layer.feature, layer, _getCentroid(layer));
+        }
+    };
+    var group = this._getGroupFor(layer);
+    if (group.zoomToShowLayer) {
+        /*
+         * Leaflet.markercluster can zoom in until the marker is visible
+         */
+        group.zoomToShowLayer(layer, openPopup);
+        return;
+    }
+    var bounds = layer.getBounds ? layer.getBounds() : L.latLngBounds([layer.getLatLng(), layer.getLatLng()]);
+    map.fitBounds(bounds, {
+        maxZoom: options.maxZoom
+    });
+    openPopup();
+}
+
+/**
+ * Adds a panel to the map which lists the displayed annotations. Clicking on
+ * an annotation in the list zooms the map to it and opens its popup, and
+ * hovering over an annotation on the map highlights it in the list.
+ * 
+ * @param options
+ *            (Optional) An object with any of the fields "position" (the
+ *            position of the panel on the map, "topright" by default),
+ *            "pageSize" (the number of annotations on each page of the list, 10
+ *            by default) and "sortBy" (the initial order of the list, either
+ *            "newest" (the default), "oldest" or "author")
+ * @return The panel, an L.Control
+ */
+CharmeAnnotator.prototype.addAnnotationList = function (options) {
+    return new _AnnotationList(this, options).addTo(this.map);
+}
+
+/**
+ * Creates the content of the popup for a displayed annotation. This contains
+ * the formatted annotation plus any actions which the current user can
+ * perform on it.
+ * 
+ * @param feature
+ *            The GeoJSON feature representing the annotation
+ * @param layer
+ *            The layer displaying the annotation on the map
+ * @param standalone
+ *            (Optional) true if the popup is not bound to the layer, because
+ *            the layer is not on the map. The actions are left out, since
+ *            they all need the layer to be on the map.
+ * @return A DOM element to display in the popup
+ */
+CharmeAnnotator.prototype._getPopupContent = function (feature, layer, standalone) {
+    var p = feature.properties;
+    var popupText = '';
+    if (this.formatAnnotation && this.formatAnnotation instanceof Function) {
+        /*
+         * We can either use a user-supplied
+         * format for the annotation...
+         */
+        popupText = this.formatAnnotation(p);
+    } else {
+        /*
+         * ...or use this default format
+         */
+        var motivation = this._getMotivation(p.motivation);
+        if (motivation) {
+            popupText += '<b>' + motivation.label + '</b><br>';
+        }
+        /*
+         * The comment and author details may have been written by other
+         * clients, so escape them
+         */
+        if (p.text) {
+            popupText += _escapeHtml(p.text) + '<br><br>';
+        }
+        if (p.tags && p.tags.length > 0) {
+            popupText += 'Tags: ' + p.tags.map(this._getTagLabel, this).join(', ') + '<br>';
+        }
+        if (p.links && p.links.length > 0) {
+            popupText += 'References:<ul class="charme-annotation-links">';
+            for (var i = 0; i < p.links.length; i++) {
+                /*
+                 * Links may have been written by other clients, so escape them
+                 * and only link to http(s) URLs
+                 */
+                var linkText = _escapeHtml(p.links[i].title || p.links[i].uri);
+                if (/^https?:\/\//i.test(p.links[i].uri)) {
+                    popupText += '<li><a href="' + _escapeHtml(p.links[i].uri) + '" target="_blank">' +
+                        linkText + '</a></li>';
+                } else {
+                    popupText += '<li>' + linkText + '</li>';
+                }
+            }
+            popupText += '</ul>';
+        }
+        if (p.temporalStart) {
+            popupText += 'Applies to ' + p.temporalStart;
+            if (p.temporalEnd && p.temporalEnd != p.temporalStart) {
+                popupText += ' - ' + p.temporalEnd;
+            }
+            popupText += '<br>';
+        }
+        if (p.verticalMin !== undefined) {
+            popupText += 'Vertical level ' + p.verticalMin;
+            if (p.verticalMax !== undefined && p.verticalMax != p.verticalMin) {
+                popupText += ' - ' + p.verticalMax;
+            }
+            popupText += '<br>';
+        }
+        if (p.time) {
+            popupText += 'Annotated at ' + p.time + ' by:<br>';
+        }
+        if (p.email) {
+            popupText += '<a href="mailto:' + _escapeHtml(p.email) + '">';
+        }
+        if (p.firstname && p.surname) {
+            popupText += '<b>' + _escapeHtml(p.firstname + ' ' + p.surname) + '</b><br>';
+        }
+        if (p.email) {
+            popupText += '</a>';
+        }
+    }
+
+    var container = L.DomUtil.create('div', 'charme-annotation');
+    L.DomUtil.create('div', 'charme-annotation-text', container).innerHTML = popupText;
+    L.DomUtil.create('div', 'charme-annotation-replies', container);
+
+    if (standalone) {
+        return container;
+    }
+    var that = this;
+    var actions = L.DomUtil.create('div', 'charme-annotation-actions', container);
+    if (this.token && p.anno) {
+        /*
+         * Any logged-in user can reply to an annotation
+         */
+        var replyLink = L.DomUtil.create('a', 'charme-annotation-reply', actions);
+        replyLink.href = '#';
+        replyLink.innerHTML = 'Reply';
+        L.DomEvent.on(replyLink, 'click', function (event) {
+            L.DomEvent.preventDefault(event);
+            that._replyToAnnotation(feature, layer);
+        });
+        actions.appendChild(document.createTextNode(' '));
+    }
+    if (this._isOwnAnnotation(p)) {
+        /*
+         * The logged-in user wrote this annotation, so they can edit or delete
+         * it
+         */
+        var editLink = L.DomUtil.create('a', 'charme-annotation-edit', actions);
+        editLink.href = '#';
+        editLink.innerHTML = 'Edit';
+        L.DomEvent.on(editLink, 'click', function (event) {
+            L.DomEvent.preventDefault(event);
+            that._editAnnotation(feature, layer);
+        });
+        actions.appendChild(document.createTextNode(' '));
+        var deleteLink = L.DomUtil.create('a', 'charme-annotation-delete', actions);
+        deleteLink.href = '#';
+        deleteLink.innerHTML = 'Delete';
+        L.DomEvent.on(deleteLink, 'click', function (event) {
+            L.DomEvent.preventDefault(event);
+            if (window.confirm('Are you sure you want to delete this annotation?')) {
+                layer.closePopup();
+                that.deleteAnnotation(p.anno).catch(function (e) {
+                    console.log('Problem deleting annotation', e);
+                });
+            }
+        });
+    }
+    return container;
+}
+
+/**
+ * Shows an annotation in a popup which isn't bound to its layer, for when the
+ * layer isn't on the map (e.g. it is in a cluster, or the density grid is
+ * displayed). The popup doesn't include the actions, since these need the
+ * layer to be on the map.
+ * 
+ * @param feature
+ *            The GeoJSON feature representing the annotation
+ * @param layer
+ *            The layer which would display the annotation on the map
+ * @param latlng
+ *            The position of the popup
+ */
+CharmeAnnotator.prototype._openStandalonePopup = function (feature, layer, latlng) {
+    var popup = L.popup().setLatLng(latlng).setContent(this._getPopupContent(feature, layer, true));
+    this.map.openPopup(popup);
+    this._loadReplies(feature, popup);
+}
+
+/**
+ * Loads the replies to an annotation from the CHARMe node and displays them,
+ * oldest first, in the annotation's popup.
+ * 
+ * @param feature
+ *            The GeoJSON feature representing the annotation
+ * @param popup
+ *            The popup displaying the annotation
+ */
+CharmeAnnotator.prototype._loadReplies = function (feature, popup) {
+    var content = popup && popup.getContent();
+    if (!content || !content.querySelector) {
+        return;
+    }
+    var repliesContainer = content.querySelector('.charme-annotation-replies');
+    if (!repliesContainer) {
+        /*
+         * The popup is currently displaying a form rather than the annotation
+         */
+        return;
+    }
+    this._runQuery(_getRepliesQuery(feature.properties.anno)).then(function (bindings) {
+        repliesContainer.innerHTML = '';
+        for (var i = 0; i < bindings.length; i++) {
+            var reply = bindings[i];
+            /*
+             * Replies are plain text written by other users, so use textContent
+             * rather than innerHTML
+             */
+            var replyDiv = L.DomUtil.create('div', 'charme-annotation-reply-text', repliesContainer);
+            replyDiv.appendChild(document.createTextNode(reply.text.value));
+            L.DomUtil.create('br', '', replyDiv);
+            L.DomUtil.create('i', '', replyDiv).textContent = reply.firstname.value + ' ' +
+                reply.surname.value + ', ' + reply.time.value;
+        }
+        popup.update();
+    }).catch(function (e) {
+        console.log('Problem loading replies', e);
+    });
+}
+
+/**
+ * Allows the user to reply to a displayed annotation. The annotation form is
+ * opened in the popup, and when it is submitted a new annotation targeting the
+ * original one is sent to the CHARMe node.
+ * 
+ * @param feature
+ *            The GeoJSON feature representing the annotation
+ * @param layer
+ *            The layer displaying the annotation on the map
+ */
+CharmeAnnotator.prototype._replyToAnnotation = function (feature, layer) {
+    var that = this;
+    layer.closePopup();
+    this._showAnnotationForm(layer, {}, function (values) {
+        layer.bindPopup(that._getPopupContent(feature, layer));
+        Promise.resolve().then(function () {
+            var uri = _generateUri(that.options.baseUri);
+            var graph = _getReplyGraph(uri, that.options.baseUri, feature.properties.anno, values.comment);
+            return that._postAnnotation('insert/annotation', graph, uri);
+        }).catch(function (e) {
+            console.log('Problem replying to annotation', e);
+        });
+    }, function () {
+        layer.bindPopup(that._getPopupContent(feature, layer));
+    }, {
+        commentOnly: true
+    });
+}
+
+/**
+ * Runs a SPARQL query against the CHARMe node, requesting the results in the
+ * standard SPARQL JSON results format.
+ * 
+ * @param query
+ *            The SPARQL query to run, as a _Query
+ * @param signal
+ *            (Optional) An AbortSignal which can be used to cancel the request
+ * @return A Promise which resolves to the array of result bindings
+ */
+CharmeAnnotator.prototype._runQuery = function (query, signal) {
+    return fetch(this.charmeUrl + 'sparql?query=' + encodeURIComponent(query.toString()), {
+        'headers': {
+            'Accept': 'application/sparql-results+json'
+        },
+        'signal': signal
+    }).then(function (resp) {
+        if (!resp.ok) {
+            throw new Error('CHARMe node returned ' + resp.status + ' ' + resp.statusText);
+        }
+        return resp.json();
+    }).then(function (resp) {
+        return resp.results.bindings;
+    });
+}
+
+/**
+ * Deletes an annotation from the CHARMe node. Annotations are not removed
+ * entirely, but are retired so that they are no longer returned. If the
+ * annotation is currently displayed, it is removed from the map. Fires an
+ * "annotation:deleted" event once the deletion has succeeded.
+ * 
+ * @param uri
+ *            The URI of the annotation to delete
+ * @return A Promise which resolves once the annotation has been deleted
+ */
+CharmeAnnotator.prototype.deleteAnnotation = function (uri) {
+    var that = this;
+    return fetch(this.charmeUrl + 'advance_status', {
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Token ' + this.token,
+        },
+        body: JSON.stringify({
+            annotation: uri,
+            toState: 'retired'
+        }),
+        method: 'post'
+    }).then(function (resp) {
+        if (!resp.ok) {
+            throw new Error('CHARMe node returned ' + resp.status + ' ' + resp.statusText);
+        }
+        var layer = that.annotationLayers[uri];
+        if (layer) {
+            that._getGroupFor(layer).removeLayer(layer);
+            delete that.annotationLayers[uri];
+        }
+        that.fire('annotation:deleted', {
+            uri: uri
+        });
+    });
+}
+
+/**
+ * Checks whether an annotation was written by the currently logged-in user
+ * 
+ * @param p
+ *            The properties of the annotation
+ */
+CharmeAnnotator.prototype._isOwnAnnotation = function (p) {
+    return !!(this.token && this.userDetails && p.account &&
+        p.account === this.userDetails['username']);
+}
+
+/**
+ * Allows the user to edit a displayed annotation. The annotation text is
+ * opened in the annotation form and the geometry is made editable. When the
+ * form is submitted the modified annotation is sent to the CHARMe node.
+ * 
+ * @param feature
+ *            The GeoJSON feature representing the annotation
+ * @param layer
+ *            The layer displaying the annotation on the map
+ */
+CharmeAnnotator.prototype._editAnnotation = function (feature, layer) {
+    var that = this;
+    var p = feature.properties;
+
+    /*
+     * Leaflet.draw modifies the LatLngs in place, so keep a copy in case
+     * editing is cancelled
+     */
+    var originalLatLngs = _copyLatLngs(layer.getLatLng ? layer.getLatLng() : layer.getLatLngs());
+    var originalRadius = layer.getRadius ? layer.getRadius() : undefined;
+    var editHandler = layer instanceof L.Marker ? layer.dragging : layer.editing;
+
+    /*
+     * Keep the extents which the annotation was created with, rather than
+     * those of the data currently displayed
+     */
+    var datasetTime = p.temporalStart ? {
+        start: p.temporalStart,
+        end: p.temporalEnd || p.temporalStart
+    } : undefined;
+    var datasetVertical = p.verticalMin !== undefined ? {
+        min: p.verticalMin,
+        max: p.verticalMax !== undefined ? p.verticalMax : p.verticalMin
+    } : undefined;
+
+    layer.closePopup();
+    if (editHandler) {
+        editHandler.enable();
+    }
+    this._showAnnotationForm(layer, {
+        comment: p.text,
+        motivation: p.motivation,
+        tags: p.tags,
+        links: p.links
+    }, function (values) {
+        if (editHandler) {
+            editHandler.disable();
+        }
+        layer.bindPopup(that._getPopupContent(feature, layer));
+
+        Promise.resolve().then(function () {
+            var uri = _generateUri(that.options.baseUri);
+            var graph = _getAnnotationGraph({
+                uri: uri,
+                baseUri: that.options.baseUri,
+                datasetUri: that.datasetUri,
+                datasetVar: that.datasetVar,
+                location: that._getLocation(layer),
+                radius: that._getRadius(layer),
+                comment: values.comment,
+                motivation: values.motivation,
+                tags: values.tags,
+                links: values.links,
+                time: datasetTime,
+                vertical: datasetVertical,
+                revisedUri: p.anno
+            });
+            return that._postAnnotation('modify/annotation', graph, uri);
+        }).catch(function (e) {
+            console.log('Problem modifying annotation', e);
+        });
+    }, function () {
+        /*
+         * Editing was cancelled - put everything back as it was
+         */
+        if (editHandler) {
+            editHandler.disable();
+        }
+        if (layer.setLatLng) {
+            layer.setLatLng(originalLatLngs);
+        } else {
+            layer.setLatLngs(originalLatLngs);
+        }
+        if (originalRadius !== undefined) {
+            layer.setRadius(originalRadius);
+        }
+        layer.bindPopup(that._getPopupContent(feature, layer));
+    }, {
+        validateLocation: true
+    });
+}
+
+/**
+ * Checks whether annotations are currently displayed on the map.
+ */
+CharmeAnnotator.prototype.isAnnotationsOn = function () {
+    return this.annotationsOn;
+}
+
+/**
+ * Construct the SPARQL query to get all annotations for the current
+ * dataset/variable.
+ * 
+ * @param params
+ *            An object containing the fields "datasetUri" and "datasetVar",
+ *            and optionally "time" and "vertical" (only annotations whose
+ *            extent overlaps these, or which have no extent in that dimension,
+ *            are returned), "tags" (an array of tag URIs - only annotations
+ *            with at least one of these are returned), "bounds" (an
+ *            L.LatLngBounds - only annotations intersecting it are returned)
+ *            "accounts" (an array of account names - only annotations by these
+ *            users are returned), "annotatedFrom" and "annotatedTo" (ISO8601
+ *            strings - only annotations made within this range are returned),
+ *            "motivations" (an array of motivation URIs - only annotations
+ *            with one of these are returned), "text" (an object with the fields "words" and "caseSensitive" -
+ *            only annotations whose text contains every word are returned)
+ *            and "region" (an object with the fields "wkt" and "relation",
+ *            which is "intersects", "contains" or "within" - only annotations
+ *            with that relation to the region are returned)
+ * @return The query, as a _Query
+ * @throws Error
+ *             If the dataset or variable has not been given, or the spatial
+ *             relation is unknown
+ */
+var _getQuery = function (params) {
+    if (params.datasetUri === undefined || params.datasetVar === undefined) {
+        throw new Error('The dataset and variable to query have not been set');
+    }
+    var query = new _Query(QUERY_PREFIXES)
+        .select('?anno', '?wkt', '?text', '?firstname', '?surname', '?email', '?time', '?account',
+            '?motivation', '?tag', '?link', '?linkTitle', '?temporalStart', '?temporalEnd',
+            '?verticalMin', '?verticalMax', '?radius')
+        .where('?anno oa:hasBody ?body . ' +
+            '?anno oa:annotatedBy ?authorUri . ' +
+            '?anno oa:annotatedAt ?time . ' +
+            '?authorUri foaf:givenName ?firstname . ' +
+            '?authorUri foaf:familyName ?surname . ' +
+            '?authorUri foaf:accountName ?account . ' +
+            '?authorUri foaf:mbox ?email . ' +
+            '?body cnt:chars ?text . ' +
+            '?anno oa:hasTarget ?target . ' +
+            '?target oa:hasSource ?datasetUri . ' +
+            '?target oa:hasSelector ?selector . ' +
+            '?selector charme:hasSpatialExtent ?sp . ' +
+            '?sp geo:hasGeometry ?geometry . ' +
+            '?geometry geo:asWKT ?wkt . ' +
+            '?datasetUri a charme:dataset . ' +
+            '?selector charme:hasVariable ?variableUri . ' +
+            '?variableUri charme:hasInternalName ?variableName .')
+        .optional('?anno oa:motivatedBy ?motivation .')
+        .optional('?sp charme:hasRadius ?radius .')
+        .optional('?anno oa:hasBody ?tag . ?tag a oa:SemanticTag .')
+        .optional('?anno oa:hasBody ?link . ' +
+            '?link a foaf:Document . ' +
+            'OPTIONAL { ?link dc:title ?linkTitle . }')
+        .optional('?selector charme:hasTemporalExtent ?temporalExtent . ' +
+            '?temporalExtent time:hasBeginning ?beginning . ' +
+            '?beginning time:inXSDDateTime ?temporalStart . ' +
+            '?temporalExtent time:hasEnd ?end . ' +
+            '?end time:inXSDDateTime ?temporalEnd .')
+        .optional('?selector charme:hasVerticalExtent ?verticalExtent . ' +
+            '?verticalExtent charme:hasMinimumValue ?verticalMin . ' +
+            '?verticalExtent charme:hasMaximumValue ?verticalMax .')
+        .filter('?variableName = $datasetVar')
+        .filter('str(?datasetUri) = $datasetUri')
+        .bind('datasetVar', params.datasetVar)
+        .bind('datasetUri', params.datasetUri);
+
+    if (params.time) {
+        /*
+         * Annotations without a temporal extent apply to all times
+         */
+        query.filter('!bound(?temporalStart) || ' +
+                '(?temporalStart <= $timeEnd && ?temporalEnd >= $timeStart)')
+            .bind('timeStart', _literal(params.time.start, 'xsd:dateTime'))
+            .bind('timeEnd', _literal(params.time.end, 'xsd:dateTime'));
+    }
+    if (params.vertical) {
+        /*
+         * Likewise, annotations without a vertical extent apply to all levels
+         */
+        query.filter('!bound(?verticalMin) || ' +
+                '(?verticalMin <= $verticalMax && ?verticalMax >= $verticalMin)')
+            .bind('verticalMin', params.vertical.min)
+            .bind('verticalMax', params.vertical.max);
+    }
+    if (params.tags) {
+        query.filter('EXISTS { ' +
+                '?anno oa:hasBody ?filterTag . ' +
+                'FILTER(?filterTag IN ($tags)) ' +
+                '}')
+            .bind('tags', params.tags.map(_iri));
+    }
+    if (params.bounds) {
+        var boundsWkt = _getBoundsWkt(params.bounds);
+        if (boundsWkt) {
+            query.filter('geof:sfIntersects(?wkt, $bounds)')
+                .bind('bounds', _literal(boundsWkt, 'geo:wktLiteral'));
+        }
+    }
+    if (params.accounts) {
+        query.filter('?account IN ($accounts)')
+            .bind('accounts', params.accounts);
+    }
+    if (params.annotatedFrom) {
+        query.filter('?time >= $annotatedFrom')
+            .bind('annotatedFrom', _literal(params.annotatedFrom, 'xsd:dateTime'));
+    }
+    if (params.annotatedTo) {
+        query.filter('?time <= $annotatedTo')
+            .bind('annotatedTo', _literal(params.annotatedTo, 'xsd:dateTime'));
+    }
+    if (params.motivations) {
+        query.filter('?motivation IN ($motivations)')
+            .bind('motivations', params.motivations.map(_iri));
+    }
+    if (params.text) {
+        /*
+         * Each word must appear somewhere in the text
+         */
+        var textExpr = params.text.caseSensitive ? 'str(?text)' : 'lcase(str(?text))';
+        params.text.words.forEach(function (word, i) {
+            query.filter('contains(' + textExpr + ', $word' + i + ')')
+                .bind('word' + i, params.text.caseSensitive ? word : word.toLowerCase());
+        });
+    }
+    if (params.region) {
+        var relationFunction = SPATIAL_RELATIONS[params.region.relation];
+        if (!relationFunction) {
+            throw new Error('Unknown spatial relation: ' + params.region.relation);
+        }
+        query.filter(relationFunction + '(?wkt, $region)')
+            .bind('region', _literal(params.region.wkt, 'geo:wktLiteral'));
+    }
+    return query;
+}
+
+/**
+ * A simple layer which groups markers into clusters when they are close
+ * together on the map. Clusters display the number of markers they contain,
+ * and split apart as the map is zoomed in. Clicking a cluster fires a
+ * "clusterclick" event whose layer has a getAllChildMarkers() method, in the
+ * same way as the Leaflet.markercluster plugin, so that either can be used.
+ */
+var _ClusterGroup = L.FeatureGroup.extend({
+    options: {
+        /*
+         * The size (in pixels) of the grid squares used to group markers
+         */
+        maxClusterRadius: 80
+    },
+
+    initialize: function (options) {
+        L.setOptions(this, options);
+        L.FeatureGroup.prototype.initialize.call(this, []);
+        this._markers = [];
+        this._refreshScheduled = false;
+    },
+
+    addLayer: function (layer) {
+        this._markers.push(layer);
+        this._scheduleRefresh();
+        return this;
+    },
+
+    removeLayer: function (layer) {
+        var index = this._markers.indexOf(layer);
+        if (index >= 0) {
+            this._markers.splice(index, 1);
+            this._scheduleRefresh();
+        }
+        return this;
+    },
+
+    hasLayer: function (layer) {
+        return this._markers.indexOf(layer) >= 0;
+    },
+
+    clearLayers: function () {
+        this._markers = [];
+        this._hideAll();
+        return this;
+    },
+
+    onAdd: function (map) {
+        L.FeatureGroup.prototype.onAdd.call(this, map);
+        map.on('zoomend', this._refresh, this);
+        this._refresh();
+    },
+
+    onRemove: function (map) {
+        map.off('zoomend', this._refresh, this);
+        L.FeatureGroup.prototype.onRemove.call(this, map);
+    },
+
+    /*
+     * Markers are often added in large batches, so only recalculate the
+     * clusters once per frame
+     */
+    _scheduleRefresh: function () {
+        if (!this._refreshScheduled) {
+            this._refreshScheduled = true;
+            L.Util.requestAnimFrame(function () {
+                this._refreshScheduled = false;
+                this._refresh();
+            }, this);
+        }
+    },
+
+    /*
+     * Displays a marker or cluster. The public addLayer(), removeLayer(),
+     * hasLayer() and clearLayers() methods manage the markers to be clustered,
+     * so the displayed layers are managed with the LayerGroup methods directly,
+     * propagating their events in the same way as a FeatureGroup.
+     */
+    _show: function (layer) {
+        layer.on(L.FeatureGroup.EVENTS, this._propagateEvent, this);
+        L.LayerGroup.prototype.addLayer.call(this, layer);
+    },
+
+    /*
+     * Removes all the displayed markers and clusters
+     */
+    _hideAll: function () {
+        for (var id in this._layers) {
+            this._layers[id].off(L.FeatureGroup.EVENTS, this._propagateEvent, this);
+            L.LayerGroup.prototype.removeLayer.call(this, this._layers[id]);
+        }
+    },
+
+    /*
+     * Recalculates the clusters for the current zoom level, and replaces the
+     * displayed layers with them
+     */
+    _refresh: function () {
+        if (!this._map) {
+            return;
+        }
+        this._hideAll();
+
+        var zoom = this._map.getZoom();
+        var size = this.options.maxClusterRadius;
+        var cells = {};
+        var cellKeys = [];
+        for (var i = 0; i < this._markers.length; i++) {
+            var point = this._map.project(this._markers[i].getLatLng(), zoom);
+            var key = Math.floor(point.x / size) + ':' + Math.floor(point.y / size);
+            if (!cells[key]) {
+                cells[key] = [];
+                cellKeys.push(key);
+            }
+            cells[key].push(this._markers[i]);
+        }
+
+        for (i = 0; i < cellKeys.length; i++) {
+            var markers = cells[cellKeys[i]];
+            this._show(markers.length == 1 ? markers[0] : this._createCluster(markers));
+        }
+    },
+
+    /*
+     * Creates a marker representing a cluster of markers, positioned at their
+     * centre
+     */
+    _createCluster: function (markers) {
+        var lat = 0;
+        var lng = 0;
+        for (var i = 0; i < markers.length; i++) {
+            lat += markers[i].getLatLng().lat;
+            lng += markers[i].getLatLng().lng;
+        }
+        var cluster = L.marker([lat / markers.length, lng / markers.length], {
+            icon: L.divIcon({
+                html: '<div><span>' + markers.length + '</span></div>',
+                className: 'charme-cluster',
+                iconSize: L.point(40, 40)
+            })
+        });
+        cluster.getAllChildMarkers = function () {
+            return markers.slice();
+        };
+        cluster.on('click', function () {
+            this.fire('clusterclick', {
+                layer: cluster,
+                latlng: cluster.getLatLng()
+            });
+        }, this);
+        return cluster;
+    }
+});
+
+/**
+ * A layer which divides the map into a grid, and shades each grid cell by the
+ * number of locations within it. The grid is recalculated whenever the map is
+ * zoomed, so that the cells stay the same size on screen.
+ */
+var _DensityGrid = L.FeatureGroup.extend({
+    options: {
+        /*
+         * The size (in pixels) of the grid squares
+         */
+        cellSize: 40
+    },
+
+    initialize: function (options) {
+        L.setOptions(this, options);
+        L.FeatureGroup.prototype.initialize.call(this, []);
+        this._latLngs = [];
+    },
+
+    setLatLngs: function (latLngs) {
+        this._latLngs = latLngs;
+        this._refresh();
+        return this;
+    },
+
+    onAdd: function (map) {
+        L.FeatureGroup.prototype.onAdd.call(this, map);
+        map.on('zoomend', this._refresh, this);
+        this._refresh();
+    },
+
+    onRemove: function (map) {
+        map.off('zoomend', this._refresh, this);
+        L.FeatureGroup.prototype.onRemove.call(this, map);
+    },
+
+    /*
+     * Counts the locations in each grid cell at the current zoom level, and
+     * replaces the displayed cells
+     */
+    _refresh: function () {
+        if (!this._map) {
+            return;
+        }
+        this.clearLayers();
+
+        var map = this._map;
+        var zoom = map.getZoom();
+        var size = this.options.cellSize;
+        var cells = {};
+        var cellKeys = [];
+        var max = 0;
+        for (var i = 0; i < this._latLngs.length; i++) {
+            var point = map.project(this._latLngs[i], zoom);
+            var x = Math.floor(point.x / size);
+            var y = Math.floor(point.y / size);
+            var key = x + ':' + y;
+            if (!cells[key]) {
+                cells[key] = {
+                    x: x,
+                    y: y,
+                    count: 0
+                };
+                cellKeys.push(key);
+            }
+            max = Math.max(max, ++cells[key].count);
+        }
+
+        for (i = 0; i < cellKeys.length; i++) {
+            var cell = cells[cellKeys[i]];
+            var bounds = L.latLngBounds(
+                map.unproject(L.point(cell.x * size, (cell.y + 1) * size), zoom),
+                map.unproject(L.point((cell.x + 1) * size, cell.y * size), zoom));
+            this.addLayer(L.rectangle(bounds, {
+                stroke: false,
+                fillColor: _getDensityColour(cell.count / max),
+                fillOpacity: 0.6
+            }).bindPopup(cell.count + (cell.count == 1 ? ' annotation' : ' annotations')));
+        }
+    }
+});
+
+/**
+ * Gets the colour used to shade a grid cell, from yellow for the fewest
+ * annotations to red for the most
+ * 
+ * @param fraction
+ *            The number of annotations in the cell, as a fraction of the
+ *            largest number in any cell
+ */
+var _getDensityColour = function (fraction) {
+    var green = Math.round(255 * (1 - fraction));
+    return 'rgb(255, ' + green + ', 0)';
+}
+
+/**
+ * Gets a single location representing a displayed annotation. This is the
+ * location of a point, or the centroid of a shape (see
+ * _getGeometryCentroid()).
+ */
+var _getCentroid = function (layer) {
+    if (layer.getLatLng) {
+        return layer.getLatLng();
+    }
+    var geometry = layer.feature ? layer.feature.geometry : layer.toGeoJSON().geometry;
+    var centroid = geometry && _getGeometryCentroid(geometry);
+    return centroid ? L.latLng(centroid[1], centroid[0]) : layer.getBounds().getCenter();
+}
+
+/**
+ * Gets the centroid of a GeoJSON geometry. Parts which were split at the
+ * antimeridian are first moved back next to each other, so the geometry is
+ * treated as a whole. The centroid is area-weighted if there are any polygons,
+ * and otherwise is the centre of the bounding box of the coordinates.
+ * 
+ * @param geometry
+ *            A GeoJSON geometry object
+ * @return The [lng, lat] of the centroid, or undefined if the geometry has no
+ *         coordinates
+ */
+var _getGeometryCentroid = function (geometry) {
+    var parts = _getGeometryParts(geometry).filter(function (part) {
+        return _flattenCoordinates(part.coordinates).length > 0;
+    });
+    if (parts.length == 0) {
+        return undefined;
+    }
+    var firstRange = _getLngRange(_flattenCoordinates(parts[0].coordinates));
+    parts = parts.map(function (part) {
+        return _wrapGeometry(part, (firstRange[0] + firstRange[1]) / 2);
+    });
+
+    var area = 0;
+    var lng = 0;
+    var lat = 0;
+    var points = [];
+    for (var i = 0; i < parts.length; i++) {
+        points = points.concat(_flattenCoordinates(parts[i].coordinates));
+        if (parts[i].type != 'Polygon') {
+            continue;
+        }
+        for (var j = 0; j < parts[i].coordinates.length; j++) {
+            var ring = parts[i].coordinates[j];
+            var ringArea = _getSignedArea(ring);
+            if (ringArea === 0) {
+                continue;
+            }
+            var ringLng = 0;
+            var ringLat = 0;
+            for (var k = 0; k < ring.length; k++) {
+                var a = ring[k];
+                var b = ring[(k + 1) % ring.length];
+                var cross = a[0] * b[1] - b[0] * a[1];
+                ringLng += (a[0] + b[0]) * cross;
+                ringLat += (a[1] + b[1]) * cross;
+            }
+            /*
+             * Holes are subtracted whichever way round they are
+             */
+            var weight = (j == 0 ? 1 : -1) * Math.abs(ringArea);
+            area += weight;
+            lng += ringLng / (3 * ringArea) * weight;
+            lat += ringLat / (3 * ringArea) * weight;
+        }
+    }
+    if (area > 0) {
+        return [lng / area, lat / area];
+    }
+    if (points.length == 0) {
+        return undefined;
+    }
+    var range = _getLngRange(points);
+    var minLat = Infinity;
+    var maxLat = -Infinity;
+    for (i = 0; i < points.length; i++) {
+        minLat = Math.min(minLat, points[i][1]);
+        maxLat = Math.max(maxLat, points[i][1]);
+    }
+    return [(range[0] + range[1]) / 2, (minLat + maxLat) / 2];
+}
+
+/**
+ * Splits a GeoJSON geometry into its single parts, i.e. Points, LineStrings
+ * and Polygons
+ */
+var _getGeometryParts = function (geometry) {
+    switch (geometry.type) {
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+        return geometry.coordinates.map(function (coords) {
+            return {
+                type: geometry.type.substring('Multi'.length),
+                coordinates: coords
+            };
+        });
+    case 'GeometryCollection':
+        var parts = [];
+        for (var i = 0; i < geometry.geometries.length; i++) {
+            parts = parts.concat(_getGeometryParts(geometry.geometries[i]));
+        }
+        return parts;
+    }
+    return [geometry];
+}
+
+/**
+ * A panel listing the annotations displayed by a CharmeAnnotator. The list is
+ * kept up to date as annotations are loaded and removed, and can be sorted and
+ * paged through.
+ */
+var _AnnotationList = L.Control.extend({
+    options: {
+        position: 'topright',
+        pageSize: 10,
+        sortBy: 'newest'
+    },
+
+    initialize: function (annotator, options) {
+        L.setOptions(this, options);
+        this._annotator = annotator;
+        this._page = 0;
+        this._sortBy = this.options.sortBy;
+        this._items = {};
+    },
+
+    onAdd: function (map) {
+        var container = L.DomUtil.create('div', 'charme-annotation-list');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        var sortSelect = L.DomUtil.create('select', '', container);
+        sortSelect.innerHTML = '<option value="newest">Newest first</option>' +
+            '<option value="oldest">Oldest first</option>' +
+            '<option value="author">By author</option>';
+        sortSelect.value = this._sortBy;
+        L.DomEvent.on(sortSelect, 'change', function () {
+            this._sortBy = sortSelect.value;
+            this._page = 0;
+            this.update();
+        }, this);
+
+        this._list = L.DomUtil.create('ul', '', container);
+
+        var pager = L.DomUtil.create('div', 'charme-annotation-list-pager', container);
+        this._prevButton = L.DomUtil.create('button', '', pager);
+        this._prevButton.innerHTML = '&lt;';
+        this._pageLabel = L.DomUtil.create('span', '', pager);
+        this._nextButton = L.DomUtil.create('button', '', pager);
+        this._nextButton.innerHTML = '&gt;';
+        L.DomEvent.on(this._prevButton, 'click', function () {
+            this._page--;
+            this.update();
+        }, this);
+        L.DomEvent.on(this._nextButton, 'click', function () {
+            this._page++;
+            this.update();
+        }, this);
+
+        this._annotator.on('annotations:progress annotations:cleared annotation:deleted', this.update, this);
+        this._annotator.on('annotation:mouseover', this._onMouseOver, this);
+        this._annotator.on('annotation:mouseout', this._onMouseOut, this);
+        this._container = container;
+        this.update();
+        return container;
+    },
+
+    onRemove: function (map) {
+        this._annotator.off('annotations:progress annotations:cleared annotation:deleted', this.update, this);
+        this._annotator.off('annotation:mouseover', this._onMouseOver, this);
+        this._annotator.off('annotation:mouseout', this._onMouseOut, this);
+    },
+
+    /*
+     * Redraws the current page of the list
+     */
+    update: function () {
+        if (!this._list) {
+            return;
+        }
+        var annotator = this._annotator;
+        var annotations = [];
+        for (var uri in annotator.annotationLayers) {
+            annotations.push(annotator.annotationLayers[uri].feature.properties);
+        }
+        annotations.sort(this._getComparator());
+
+        var pageSize = this.options.pageSize;
+        var pages = Math.max(1, Math.ceil(annotations.length / pageSize));
+        this._page = Math.max(0, Math.min(this._page, pages - 1));
+        var start = this._page * pageSize;
+        var end = Math.min(start + pageSize, annotations.length);
+
+        this._list.innerHTML = '';
+        this._items = {};
+        for (var i = start; i < end; i++) {
+            this._addItem(annotations[i]);
+        }
+        this._pageLabel.innerHTML = annotations.length == 0 ? ' No annotations ' :
+            ' ' + (start + 1) + '-' + end + ' of ' + annotations.length + ' ';
+        this._prevButton.disabled = this._page == 0;
+        this._nextButton.disabled = this._page >= pages - 1;
+    },
+
+    _getComparator: function () {
+        switch (this._sortBy) {
+        case 'oldest':
+            return function (a, b) {
+                return new Date(a.time) - new Date(b.time);
+            };
+        case 'author':
+            return function (a, b) {
+                var authorA = (a.surname || '') + ' ' + (a.firstname || '');
+                var authorB = (b.surname || '') + ' ' + (b.firstname || '');
+                return authorA.localeCompare(authorB) || new Date(b.time) - new Date(a.time);
+            };
+        default:
+            return function (a, b) {
+                return new Date(b.time) - new Date(a.time);
+            };
+        }
+    },
+
+    _addItem: function (p) {
+        var annotator = this._annotator;
+        var item = L.DomUtil.create('li', '', this._list);
+        var link = L.DomUtil.create('a', '', item);
+        link.href = '#';
+        /*
+         * Use textContent so that the annotation can't contain broken HTML
+         */
+        link.textContent = _getSnippet(p.text);
+        var details = L.DomUtil.create('div', 'charme-annotation-list-details', item);
+        details.textContent = (p.firstname && p.surname ? p.firstname + ' ' + p.surname + ', ' : '') +
+            (p.time ? new Date(p.time).toLocaleString() : '');
+        L.DomEvent.on(link, 'click', function (event) {
+            L.DomEvent.preventDefault(event);
+            annotator.showAnnotation(p.anno);
+        });
+        this._items[p.anno] = item;
+    },
+
+    _onMouseOver: function (e) {
+        if (this._items[e.uri]) {
+            L.DomUtil.addClass(this._items[e.uri], 'charme-annotation-list-highlight');
+        }
+    },
+
+    _onMouseOut: function (e) {
+        if (this._items[e.uri]) {
+            L.DomUtil.removeClass(this._items[e.uri], 'charme-annotation-list-highlight');
+        }
+    }
+});
+
+/**
+ * Merges the GeoJSON features returned by the annotation query so that there
+ * is a single feature per annotation. The tags and links of each annotation
+ * (which are returned as separate results) are gathered into the "tags" and
+ * "links" properties.
+ */
+var _mergeFeatures = function (features) {
+    var merged = [];
+    var featuresByUri = {};
+    for (var i = 0; i < features.length; i++) {
+        var p = features[i].properties || {};
+        var feature = p.anno && featuresByUri[p.anno];
+        if (!feature) {
+            feature = {
+                type: 'Feature',
+                geometry: features[i].geometry,
+                properties: L.extend({}, p, {
+                    tags: [],
+                    links: []
+                })
+            };
+            delete feature.properties.tag;
+            delete feature.properties.link;
+            delete feature.properties.linkTitle;
+            if (p.anno) {
+                featuresByUri[p.anno] = feature;
+            }
+            merged.push(feature);
+        }
+        _mergeProperties(feature.properties, {
+            tags: p.tag ? [p.tag] : [],
+            links: p.link ? [{
+                uri: p.link,
+                title: p.linkTitle
+            }] : []
+        });
+    }
+    return merged;
+}
+
+/**
+ * Adds any tags and links from one set of annotation properties which are not
+ * already present in another.
+ * 
+ * @param target
+ *            The properties to add to
+ * @param source
+ *            The properties containing the tags and links to add
+ * @return true if anything was added
+ */
+var _mergeProperties = function (target, source) {
+    var changed = false;
+    var i;
+    for (i = 0; i < source.tags.length; i++) {
+        if (target.tags.indexOf(source.tags[i]) < 0) {
+            target.tags.push(source.tags[i]);
+            changed = true;
+        }
+    }
+    for (i = 0; i < source.links.length; i++) {
+        var found = false;
+        for (var j = 0; j < target.links.length; j++) {
+            if (target.links[j].uri === source.links[i].uri) {
+                found = true;
+            }
+        }
+        if (!found) {
+            target.links.push(source.links[i]);
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Parses the links entered in the annotation form, one per line. Each line
+ * must be either a DOI (optionally prefixed with "doi:" or a doi.org URL) or
+ * an http(s) URL, and must not contain any characters which IRIs may not
+ * contain.
+ * 
+ * @param text
+ *            The text entered in the form
+ * @return An array of objects with the field "uri", and "doi" if the link is a
+ *         DOI
+ * @throws Error
+ *             If any line is not a valid DOI or URL
+ */
+var _parseLinks = function (text) {
+    var links = [];
+    var lines = text.split(/\r?\n/);
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (!line) {
+            continue;
+        }
+        var doiMatch = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i.exec(line);
+        /*
+         * Links are stored as IRIs, so can't contain characters such as quotes
+         * or angle brackets
+         */
+        if (doiMatch && _isIri(doiMatch[1])) {
+            links.push({
+                uri: 'https://doi.org/' + doiMatch[1],
+                doi: doiMatch[1]
+            });
+        } else if (/^(doi:|10\.)/i.test(line)) {
+            throw new Error('Invalid DOI: ' + line);
+        } else if (/^https?:\/\/\S+$/i.test(line) && _isIri(line)) {
+            links.push({
+                uri: line
+            });
+        } else {
+            throw new Error('Not a valid URL or DOI: ' + line);
+        }
+    }
+    return links;
+}
+
+/**
+ * Escapes the characters which have a special meaning in HTML, so that text
+ * can be safely included in markup
+ */
+var _escapeHtml = function (text) {
+    var escapes = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+    return String(text).replace(/[&<>"']/g, function (c) {
+        return escapes[c];
+    });
+}
+
+/**
+ * Gets a short snippet of an annotation's text, for use in lists
+ */
+var _getSnippet = function (text) {
+    text = text || '';
+    return text.length > 50 ? text.substring(0, 47) + '...' : text;
+}
+
+/**
+ * Construct the SPARQL query to get all replies to an annotation, oldest first
+ * 
+ * @return The query, as a _Query
+ */
+var _getRepliesQuery = function (annoUri) {
+    return new _Query(QUERY_PREFIXES)
+        .select('?reply', '?text', '?firstname', '?surname', '?email', '?time', '?account')
+        .where('?reply oa:hasTarget $anno . ' +
+            '?reply oa:hasBody ?body . ' +
+            '?reply oa:annotatedBy ?authorUri . ' +
+            '?reply oa:annotatedAt ?time . ' +
+            '?authorUri foaf:givenName ?firstname . ' +
+            '?authorUri foaf:familyName ?surname . ' +
+            '?authorUri foaf:accountName ?account . ' +
+            '?authorUri foaf:mbox ?email . ' +
+            '?body cnt:chars ?text .')
+        .bind('anno', _iri(annoUri))
+        .orderBy('?time');
+}
+
+/**
+ * Constructs the WKT polygon for a bounding box. If the box crosses the
+ * antimeridian it is split into a multipolygon. If the box covers all
+ * longitudes, undefined is returned since there is no need to filter on it.
+ */
+var _getBoundsWkt = function (bounds) {
+    var west = _normaliseLng(bounds.getWest());
+    var east = west + bounds.getEast() - bounds.getWest();
+    var south = Math.max(bounds.getSouth(), -90);
+    var north = Math.min(bounds.getNorth(), 90);
+    if (east - west >= 360) {
+        return undefined;
+    }
+    var rectangle = function (west, east) {
+        return [_closeRing([[west, south], [east, south], [east, north], [west, north]])];
+    };
+    return _toWkt(_getMultiGeometry('Polygon', east > 180 ?
+        [rectangle(west, 180), rectangle(-180, east - 360)] : [rectangle(west, east)]));
+}
+
+/**
+ * The number of vertices in the polygon used to approximate a circle
+ */
+var CIRCLE_VERTICES = 64;
+
+/**
+ * Checks whether a layer is a circle with a radius in metres (as opposed to an
+ * L.CircleMarker, whose radius is in pixels)
+ */
+var _isCircle = function (layer) {
+    return layer instanceof L.Circle && !(layer instanceof L.CircleMarker);
+}
+
+/**
+ * Constructs the WKT location string for a drawn object
+ * 
+ * @param layer
+ *            The drawn object
+ * @param options
+ *            (Optional) An object with the fields "circleFormat" (see
+ *            _getGeometry()) and "crs" (the URI of the CRS to give the
+ *            coordinates in - if this is set, it is included at the start of
+ *            the WKT)
+ */
+var _getLocationString = function (layer, options) {
+    var geometry = _getLocationGeometry(layer, options);
+    return (options && options.crs ? '<' + options.crs + '> ' : '') + _toWkt(geometry);
+}
+
+/**
+ * Gets the geometry stored for a drawn object, as a GeoJSON geometry object
+ * whose coordinates are in the CRS given in the options
+ * 
+ * @param layer
+ *            The drawn object
+ * @param options
+ *            (Optional) As for _getLocationString()
+ */
+var _getLocationGeometry = function (layer, options) {
+    options = options || {};
+    var projection = options.crs ? _getProjection(options.crs) : undefined;
+    if (projection && !projection.geographic) {
+        return _getGeometry(layer, options.circleFormat, projection.forward);
+    }
+    var geometry = _getGeometry(layer, options.circleFormat);
+    return projection ? _transformGeometry(geometry, projection.forward) : geometry;
+}
+
+/**
+ * Converts a drawn object to a GeoJSON geometry object, with longitudes
+ * normalised to the range -180 to 180, so shapes which cross the antimeridian
+ * are split into several parts. Polygons may have holes, and multi-part layers
+ * (e.g. L.MultiPolygon) are supported.
+ * 
+ * @param layer
+ *            The drawn object
+ * @param circleFormat
+ *            (Optional) If this is "point", circles are given as their centre
+ *            point. Otherwise they are approximated by a polygon.
+ * @param project
+ *            (Optional) A function converting [lng, lat] coordinates to a
+ *            projected CRS. If this is given, the coordinates are converted
+ *            with it instead, and shapes are not split, since the antimeridian
+ *            is not a discontinuity in most projected CRSs (e.g. polar
+ *            stereographic). Polygon rings are oriented in the projected
+ *            coordinates.
+ */
+var _getGeometry = function (layer, circleFormat, project) {
+    if (_isCircle(layer) && circleFormat !== 'point') {
+        return _getGeometry(L.polygon(_getCirclePoints(layer.getLatLng(), layer.getRadius())), undefined, project);
+    }
+    if (layer.getLatLng) {
+        var coord = [layer.getLatLng().lng, layer.getLatLng().lat];
+        return {
+            type: 'Point',
+            coordinates: project ? project(coord) : [_normaliseLng(coord[0]), coord[1]]
+        };
+    } else if (layer instanceof L.Polygon) {
+        var rings = _getRings(layer).map(_toCoordinates);
+        if (project) {
+            return {
+                type: 'Polygon',
+                coordinates: rings.map(function (ring, i) {
+                    return _closeRing(_orientRing(_openRing(ring).map(project), i == 0));
+                })
+            };
+        }
+        return _getMultiGeometry('Polygon', _splitPolygon(rings));
+    } else if (layer instanceof L.Polyline) {
+        var coords = _toCoordinates(layer.getLatLngs());
+        if (project) {
+            return {
+                type: 'LineString',
+                coordinates: coords.map(project)
+            };
+        }
+        return _getMultiGeometry('LineString', _splitLine(coords));
+    } else if (layer.getLayers) {
+        return _combineGeometries(layer.getLayers().map(function (part) {
+            return _getGeometry(part, circleFormat, project);
+        }));
+    }
+    throw new Error('Cannot get the location of this type of layer');
+}
+
+/**
+ * Copies an L.LatLng, or a (possibly nested) array of them
+ */
+var _copyLatLngs = function (latlngs) {
+    if (latlngs instanceof Array) {
+        return latlngs.map(_copyLatLngs);
+    }
+    return L.latLng(latlngs.lat, latlngs.lng);
+}
+
+/**
+ * Converts an array of L.LatLngs to an array of [lng, lat] coordinates
+ */
+var _toCoordinates = function (latlngs) {
+    return latlngs.map(function (latlng) {
+        return [latlng.lng, latlng.lat];
+    });
+}
+
+/**
+ * Normalises a longitude to the range -180 to 180
+ */
+var _normaliseLng = function (lng) {
+    return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Makes a geometry of the given type from an array of parts, using the
+ * multi-part type if there is more than one part
+ */
+var _getMultiGeometry = function (type, parts) {
+    return parts.length == 1 ? {
+        type: type,
+        coordinates: parts[0]
+    } : {
+        type: 'Multi' + type,
+        coordinates: parts
+    };
+}
+
+/**
+ * Combines geometries into a single multi-part geometry if they are all of the
+ * same type (e.g. all polygons), or a GeometryCollection otherwise
+ */
+var _combineGeometries = function (geometries) {
+    var type;
+    var parts = [];
+    for (var i = 0; i < geometries.length; i++) {
+        var partType = geometries[i].type.replace(/^Multi/, '');
+        if (type !== undefined && partType !== type) {
+            return {
+                type: 'GeometryCollection',
+                geometries: geometries
+            };
+        }
+        type = partType;
+        parts = parts.concat(geometries[i].type == partType ?
+            [geometries[i].coordinates] : geometries[i].coordinates);
+    }
+    return _getMultiGeometry(type, parts);
+}
+
+/**
+ * Splits a line into parts which don't cross the antimeridian, with all
+ * longitudes in the range -180 to 180. The longitudes are taken as they are
+ * drawn, which are continuous rather than wrapped, so a line may span more
+ * than 180 degrees.
+ * 
+ * @param coords
+ *            An array of [lng, lat] coordinates
+ * @return An array of parts, each an array of coordinates
+ */
+var _splitLine = function (coords) {
+    var parts = [];
+    var part = [coords[0]];
+    var lngWindow = Math.floor((coords[0][0] + 180) / 360);
+    for (var i = 1; i < coords.length; i++) {
+        var nextLngWindow = Math.floor((coords[i][0] + 180) / 360);
+        while (nextLngWindow != lngWindow) {
+            /*
+             * End this part where it meets the antimeridian and start the next
+             * part on the other side of it
+             */
+            var a = coords[i - 1];
+            var b = coords[i];
+            var step = nextLngWindow > lngWindow ? 1 : -1;
+            var boundary = Math.max(lngWindow, lngWindow + step) * 360 - 180;
+            var lat = a[1] + (b[1] - a[1]) * (boundary - a[0]) / (b[0] - a[0]);
+            part.push([boundary, lat]);
+            parts.push(_shiftCoordinates(part, -360 * lngWindow));
+            part = [[boundary, lat]];
+            lngWindow += step;
+        }
+        part.push(coords[i]);
+    }
+    parts.push(_shiftCoordinates(part, -360 * lngWindow));
+    return parts;
+}
+
+/**
+ * Splits a polygon into parts which don't cross the antimeridian, with all
+ * longitudes in the range -180 to 180. The outer ring of each part is
+ * anticlockwise and any holes are clockwise. As with _splitLine(), the
+ * longitudes are taken as they are drawn, so a polygon may be more than 180
+ * degrees wide.
+ * 
+ * @param rings
+ *            An array of rings, each an array of [lng, lat] coordinates. The
+ *            first is the outer ring and the rest are holes.
+ * @return An array of polygons, each an array of closed rings
+ */
+var _splitPolygon = function (rings) {
+    rings = rings.map(_openRing);
+    var outer = _orientRing(rings[0], true);
+    var outerRange = _getLngRange(outer);
+    var holes = rings.slice(1).map(function (hole) {
+        /*
+         * Move each hole next to the outer ring
+         */
+        var range = _getLngRange(hole);
+        var shift = 360 * Math.round(((outerRange[0] + outerRange[1]) - (range[0] + range[1])) / 720);
+        return _orientRing(_shiftCoordinates(hole, shift), false);
+    });
+
+    var polygons = [];
+    var firstWindow = Math.floor((outerRange[0] + 180) / 360);
+    var lastWindow = Math.ceil((outerRange[1] + 180) / 360) - 1;
+    var lngWindow = firstWindow;
+    var shiftRing = function (ring) {
+        return _closeRing(_shiftCoordinates(ring, -360 * lngWindow));
+    };
+    for (; lngWindow <= lastWindow; lngWindow++) {
+        var west = lngWindow * 360 - 180;
+        var clipped = _clipPolygon([outer].concat(holes), west, west + 360);
+        for (var i = 0; i < clipped.length; i++) {
+            polygons.push(clipped[i].map(shiftRing));
+        }
+    }
+    return polygons;
+}
+
+/**
+ * Gets twice the signed area of a ring, which is positive if the ring is
+ * anticlockwise
+ */
+var _getSignedArea = function (ring) {
+    var area = 0;
+    for (var i = 0; i < ring.length; i++) {
+        var a = ring[i];
+        var b = ring[(i + 1) % ring.length];
+        area += a[0] * b[1] - b[0] * a[1];
+    }
+    return area;
+}
+
+/**
+ * Orients a ring anticlockwise (or clockwise), reversing it if necessary
+ */
+var _orientRing = function (ring, anticlockwise) {
+    return (_getSignedArea(ring) > 0) == anticlockwise ? ring : ring.slice().reverse();
+}
+
+/**
+ * Gets the [minimum, maximum] longitude of an array of coordinates
+ */
+var _getLngRange = function (coords) {
+    var min = Infinity;
+    var max = -Infinity;
+    for (var i = 0; i < coords.length; i++) {
+        min = Math.min(min, coords[i][0]);
+        max = Math.max(max, coords[i][0]);
+    }
+    return [min, max];
+}
+
+/**
+ * Adds the given amount to the longitude of each coordinate
+ */
+var _shiftCoordinates = function (coords, shift) {
+    return coords.map(function (coord) {
+        return [coord[0] + shift, coord[1]];
+    });
+}
+
+/**
+ * Removes the closing coordinate of a ring, if it repeats the first
+ */
+var _openRing = function (ring) {
+    var first = ring[0];
+    var last = ring[ring.length - 1];
+    return ring.length > 1 && first[0] == last[0] && first[1] == last[1] ? ring.slice(0, -1) : ring;
+}
+
+/**
+ * Repeats the first coordinate of a ring at the end
+ */
+var _closeRing = function (ring) {
+    return ring.concat([ring[0]]);
+}
+
+/**
+ * Clips a polygon to the region between two longitudes. A concave polygon may
+ * be split into several parts.
+ * 
+ * @param rings
+ *            The outer ring (anticlockwise) followed by any holes (clockwise),
+ *            without their closing coordinates
+ * @return An array of polygons, each an array of rings without their closing
+ *         coordinates
+ */
+var _clipPolygon = function (rings, west, east) {
+    var polygons = [];
+    var clipped = _clipPolygonAt(rings, west, true);
+    for (var i = 0; i < clipped.length; i++) {
+        polygons = polygons.concat(_clipPolygonAt(clipped[i], east, false));
+    }
+    return polygons;
+}
+
+/**
+ * Clips a polygon to one side of a line of longitude. The rings are cut into
+ * chains where they cross the line, and each chain is joined to the next along
+ * the line. Pairs of crossing points, sorted by latitude, bound the parts of
+ * the line inside the polygon, so each chain continues with the chain starting
+ * at the other end of the part of the line it finishes on. This means that
+ * concave polygons are split into several parts, and holes which cross the
+ * line become part of the outer ring.
+ * 
+ * @param rings
+ *            The outer ring (anticlockwise) followed by any holes (clockwise),
+ *            without their closing coordinates
+ * @param lng
+ *            The longitude to clip at
+ * @param keepEast
+ *            true to keep the part east of the line, false to keep the part
+ *            west of it
+ * @return An array of polygons, each an array of rings without their closing
+ *         coordinates
+ */
+var _clipPolygonAt = function (rings, lng, keepEast) {
+    var inside = function (coord) {
+        return keepEast ? coord[0] >= lng : coord[0] <= lng;
+    };
+    var crossing = function (a, b) {
+        return [lng, a[1] + (b[1] - a[1]) * (lng - a[0]) / (b[0] - a[0])];
+    };
+
+    var chains = [];
+    var holes = [];
+    for (var r = 0; r < rings.length; r++) {
+        var ring = rings[r];
+        var start = -1;
+        for (var i = 0; i < ring.length && start < 0; i++) {
+            if (!inside(ring[i])) {
+                start = i;
+            }
+        }
+        if (start < 0) {
+            if (r == 0) {
+                /*
+                 * The outer ring is entirely on the kept side, so all of the
+                 * holes must be too
+                 */
+                return [rings];
+            }
+            holes.push(ring);
+            continue;
+        }
+        /*
+         * Start outside the kept side so that every chain is completed
+         */
+        var chain = undefined;
+        for (i = 1; i <= ring.length; i++) {
+            var a = ring[(start + i - 1) % ring.length];
+            var b = ring[(start + i) % ring.length];
+            if (!inside(a) && inside(b)) {
+                chain = [crossing(a, b)];
+                if (b[0] != lng) {
+                    chain.push(b);
+                }
+            } else if (inside(a) && inside(b)) {
+                chain.push(b);
+            } else if (inside(a) && !inside(b)) {
+                if (a[0] != lng) {
+                    chain.push(crossing(a, b));
+                }
+                /*
+                 * Ignore chains which only touch the line
+                 */
+                if (chain.some(function (coord) {
+                        return coord[0] != lng;
+                    })) {
+                    chains.push(chain);
+                }
+                chain = undefined;
+            }
+        }
+    }
+
+    /*
+     * Find the chain which follows each one
+     */
+    var ends = [];
+    for (i = 0; i < chains.length; i++) {
+        ends.push({
+            lat: chains[i][0][1],
+            chain: i,
+            start: true
+        }, {
+            lat: chains[i][chains[i].length - 1][1],
+            chain: i,
+            start: false
+        });
+    }
+    ends.sort(function (a, b) {
+        return a.lat - b.lat;
+    });
+    var next = [];
+    for (i = 0; i < ends.length; i++) {
+        if (!ends[i].start && ends[i ^ 1].start) {
+            next[ends[i].chain] = ends[i ^ 1].chain;
+        }
+    }
+
+    var polygons = [];
+    var used = [];
+    for (i = 0; i < chains.length; i++) {
+        var outer = [];
+        for (var c = i; c !== undefined && !used[c]; c = next[c]) {
+            used[c] = true;
+            outer = outer.concat(chains[c]);
+        }
+        if (outer.length >= 3) {
+            polygons.push([outer]);
+        }
+    }
+    /*
+     * Put each hole which wasn't cut by the line into the part containing it
+     */
+    for (i = 0; i < holes.length; i++) {
+        for (var j = 0; j < polygons.length; j++) {
+            if (_isInRing(holes[i][0], polygons[j][0])) {
+                polygons[j].push(holes[i]);
+                break;
+            }
+        }
+    }
+    return polygons;
+}
+
+/**
+ * Tests whether a coordinate is inside a ring, using the even-odd rule
+ */
+var _isInRing = function (coord, ring) {
+    var inside = false;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var a = ring[i];
+        var b = ring[j];
+        if ((a[1] > coord[1]) != (b[1] > coord[1]) &&
+            coord[0] < a[0] + (b[0] - a[0]) * (coord[1] - a[1]) / (b[1] - a[1])) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Moves each part of a geometry by a multiple of 360 degrees of longitude so
+ * that it is as close as possible to the given longitude. This lets shapes
+ * which were split at the antimeridian be displayed in one piece on maps
+ * centred on the Pacific.
+ * 
+ * @param geometry
+ *            A GeoJSON geometry object
+ * @param centreLng
+ *            The longitude to move the geometry towards, e.g. the longitude
+ *            of the centre of the map
+ * @return A new geometry object
+ */
+var _wrapGeometry = function (geometry, centreLng) {
+    if (!geometry) {
+        return geometry;
+    }
+    var wrapPart = function (coords) {
+        var points = _flattenCoordinates(coords);
+        var range = _getLngRange(points);
+        var shift = 360 * Math.round((2 * centreLng - range[0] - range[1]) / 720);
+        return _mapCoordinates(coords, function (coord) {
+            return [coord[0] + shift].concat(coord.slice(1));
+        });
+    };
+    switch (geometry.type) {
+    case 'Point':
+    case 'LineString':
+    case 'Polygon':
+        return {
+            type: geometry.type,
+            coordinates: wrapPart(geometry.coordinates)
+        };
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+        return {
+            type: geometry.type,
+            coordinates: geometry.coordinates.map(wrapPart)
+        };
+    case 'GeometryCollection':
+        return {
+            type: geometry.type,
+            geometries: geometry.geometries.map(function (part) {
+                return _wrapGeometry(part, centreLng);
+            })
+        };
+    }
+    return geometry;
+}
+
+/**
+ * Gets all of the coordinates in a nested array of GeoJSON coordinates
+ */
+var _flattenCoordinates = function (coords) {
+    if (typeof coords[0] === 'number') {
+        return [coords];
+    }
+    var flattened = [];
+    for (var i = 0; i < coords.length; i++) {
+        flattened = flattened.concat(_flattenCoordinates(coords[i]));
+    }
+    return flattened;
+}
+
+/**
+ * Applies a function to every coordinate in a nested array of GeoJSON
+ * coordinates, returning a new nested array
+ */
+var _mapCoordinates = function (coords, f) {
+    if (typeof coords[0] === 'number') {
+        return f(coords);
+    }
+    return coords.map(function (part) {
+        return _mapCoordinates(part, f);
+    });
+}
+
+/**
+ * Parses a WKT string into a GeoJSON geometry object. All of the WKT geometry
+ * types which have GeoJSON equivalents are supported, including EMPTY
+ * geometries and Z/M coordinates (M values are dropped). A GeoSPARQL CRS IRI
+ * at the start of the string is ignored, so the coordinates are as given - see
+ * _getWktCrs().
+ * 
+ * @param wkt
+ *            The WKT string
+ * @return The GeoJSON geometry object, or null if the geometry is empty (since
+ *         it can't be displayed). Empty parts of a GEOMETRYCOLLECTION are
+ *         left out.
+ */
+var _parseWkt = function (wkt) {
+    var tokens = _tokeniseWkt(String(wkt).replace(/^\s*<[^>]*>/, ''));
+    var position = 0;
+
+    var fail = function (message) {
+        throw new Error('Invalid WKT (' + message + '): ' + wkt);
+    };
+    var peek = function () {
+        return tokens[position];
+    };
+    var next = function (expected) {
+        var token = tokens[position++];
+        if (expected !== undefined && token !== expected) {
+            fail('expected "' + expected + '" but found ' + (token === undefined ? 'end' : '"' + token + '"'));
+        }
+        return token;
+    };
+    /*
+     * Parses a list of items between brackets, each parsed by f
+     */
+    var list = function (f) {
+        var items = [];
+        next('(');
+        do {
+            items.push(f());
+        } while (peek() === ',' && next(','));
+        next(')');
+        return items;
+    };
+
+    var hasM = false;
+    var coordinate = function () {
+        var values = [];
+        while (typeof peek() === 'number') {
+            values.push(next());
+        }
+        if (values.length < 2 || values.length > 4) {
+            fail('a coordinate must have 2 to 4 values');
+        }
+        /*
+         * GeoJSON has no M values
+         */
+        return hasM ? values.slice(0, values.length - 1) : values.slice(0, 3);
+    };
+    var line = function () {
+        return list(coordinate);
+    };
+    var polygon = function () {
+        return list(line);
+    };
+    var point = function () {
+        /*
+         * The points of a MULTIPOINT may or may not be in brackets
+         */
+        if (peek() === '(') {
+            next('(');
+            var coord = coordinate();
+            next(')');
+            return coord;
+        }
+        return coordinate();
+    };
+
+    var geometry = function () {
+        var type = String(next()).toUpperCase();
+        var dimension = typeof peek() === 'string' ? peek().toUpperCase() : undefined;
+        if (dimension === 'Z' || dimension === 'M' || dimension === 'ZM') {
+            next();
+        }
+        hasM = dimension === 'M' || dimension === 'ZM';
+        var empty = typeof peek() === 'string' && peek().toUpperCase() === 'EMPTY';
+        if (empty) {
+            next();
+        }
+        switch (type) {
+        case 'POINT':
+            return empty ? null : {
+                type: 'Point',
+                coordinates: list(coordinate)[0]
+            };
+        case 'LINESTRING':
+            return empty ? null : {
+                type: 'LineString',
+                coordinates: line()
+            };
+        case 'POLYGON':
+            return empty ? null : {
+                type: 'Polygon',
+                coordinates: polygon()
+            };
+        case 'MULTIPOINT':
+            return empty ? null : {
+                type: 'MultiPoint',
+                coordinates: list(point)
+            };
+        case 'MULTILINESTRING':
+            return empty ? null : {
+                type: 'MultiLineString',
+                coordinates: list(line)
+            };
+        case 'MULTIPOLYGON':
+            return empty ? null : {
+                type: 'MultiPolygon',
+                coordinates: list(polygon)
+            };
+        case 'GEOMETRYCOLLECTION':
+            var geometries = empty ? [] : list(geometry).filter(function (part) {
+                return part;
+            });
+            return geometries.length == 0 ? null : {
+                type: 'GeometryCollection',
+                geometries: geometries
+            };
+        }
+        fail('unknown geometry type "' + type + '"');
+    };
+
+    var result = geometry();
+    if (position < tokens.length) {
+        fail('unexpected "' + peek() + '"');
+    }
+    return result;
+}
+
+/**
+ * Splits a WKT string into words, numbers, brackets and commas
+ */
+var _tokeniseWkt = function (wkt) {
+    var tokens = [];
+    var pattern = /\s*(?:([A-Za-z]+)|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|([(),]))\s*/g;
+    var index = 0;
+    var match;
+    while (index < wkt.length) {
+        pattern.lastIndex = index;
+        match = pattern.exec(wkt);
+        if (!match || match.index !== index || match[0].length == 0) {
+            throw new Error('Invalid WKT (unexpected character at ' + index + '): ' + wkt);
+        }
+        tokens.push(match[2] !== undefined ? parseFloat(match[2]) : match[1] || match[3]);
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * The GeoSPARQL default CRS: WGS84 longitude/latitude
+ */
+var CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+/**
+ * Gets the functions which convert [lng, lat] coordinates to and from a CRS.
+ * WGS84 needs no library, but other CRSs are converted with proj4, which must
+ * have been loaded (e.g. as part of Proj4Leaflet) and have a definition of the
+ * CRS.
+ * 
+ * @param crs
+ *            The URI of the CRS, e.g.
+ *            "http://www.opengis.net/def/crs/EPSG/0/3413"
+ * @return An object with the fields "forward" (a function converting [lng,
+ *         lat] to coordinates in the CRS), "inverse" (a function converting
+ *         back) and "geographic" (true if the CRS has longitude and latitude
+ *         coordinates, false if it is projected)
+ */
+var _getProjection = function (crs) {
+    var identity = function (coord) {
+        return coord;
+    };
+    var swap = function (coord) {
+        return [coord[1], coord[0]].concat(coord.slice(2));
+    };
+    if (!crs || crs === CRS84) {
+        return {
+            forward: identity,
+            inverse: identity,
+            geographic: true
+        };
+    }
+    var epsg = /\/EPSG\/\d+\/(\d+)$/.exec(crs);
+    var code = epsg ? 'EPSG:' + epsg[1] : crs;
+    if (code === 'EPSG:4326') {
+        /*
+         * The EPSG definition has latitude first
+         */
+        return {
+            forward: swap,
+            inverse: swap,
+            geographic: true
+        };
+    }
+    if (typeof proj4 === 'undefined' || !proj4.defs(code)) {
+        throw new Error('Cannot convert coordinates to or from ' + crs +
+            ': proj4 must be loaded with a definition of ' + code);
+    }
+    var projection = proj4('EPSG:4326', code);
+    return {
+        forward: function (coord) {
+            return projection.forward(coord.slice(0, 2)).concat(coord.slice(2));
+        },
+        inverse: function (coord) {
+            return projection.inverse(coord.slice(0, 2)).concat(coord.slice(2));
+        },
+        geographic: proj4.defs(code).projName === 'longlat'
+    };
+}
+
+/**
+ * Applies a function to every coordinate of a GeoJSON geometry object
+ * 
+ * @return A new geometry object
+ */
+var _transformGeometry = function (geometry, f) {
+    if (!geometry) {
+        return geometry;
+    }
+    if (geometry.type === 'GeometryCollection') {
+        return {
+            type: geometry.type,
+            geometries: geometry.geometries.map(function (part) {
+                return _transformGeometry(part, f);
+            })
+        };
+    }
+    return {
+        type: geometry.type,
+        coordinates: geometry.coordinates.length == 0 ? [] : _mapCoordinates(geometry.coordinates, f)
+    };
+}
+
+/**
+ * Gets the CRS URI at the start of a GeoSPARQL WKT literal, or undefined if
+ * there is none (in which case the CRS is CRS84)
+ */
+var _getWktCrs = function (wkt) {
+    var match = /^\s*<([^>]*)>/.exec(wkt);
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Serialises a GeoJSON geometry object as WKT
+ */
+var _toWkt = function (geometry) {
+    var position = function (coord) {
+        return coord[0] + ' ' + coord[1];
+    };
+    var line = function (coords) {
+        return '(' + coords.map(position).join(', ') + ')';
+    };
+    var polygon = function (rings) {
+        return '(' + rings.map(line).join(', ') + ')';
+    };
+    var c = geometry.coordinates;
+    switch (geometry.type) {
+    case 'Point':
+        return 'POINT (' + position(c) + ')';
+    case 'MultiPoint':
+        return 'MULTIPOINT (' + c.map(function (coord) {
+            return '(' + position(coord) + ')';
+        }).join(', ') + ')';
+    case 'LineString':
+        return 'LINESTRING ' + line(c);
+    case 'MultiLineString':
+        return 'MULTILINESTRING ' + polygon(c);
+    case 'Polygon':
+        return 'POLYGON ' + polygon(c);
+    case 'MultiPolygon':
+        return 'MULTIPOLYGON (' + c.map(polygon).join(', ') + ')';
+    case 'GeometryCollection':
+        return 'GEOMETRYCOLLECTION (' + geometry.geometries.map(_toWkt).join(', ') + ')';
+    }
+    throw new Error('Unknown geometry type: ' + geometry.type);
+}
+
+/**
+ * Checks that a GeoJSON geometry can be stored by the CHARMe node. The rings of
+ * each polygon must have at least three distinct vertices, a non-zero area and
+ * edges which don't cross each other, and each line must have at least two
+ * distinct vertices. Repeated vertices are ignored (see
+ * _hasRepeatedVertices()), and ring orientation is not checked.
+ * 
+ * @param geometry
+ *            A GeoJSON geometry object
+ * @return An array of messages describing the problems, which is empty if the
+ *         geometry is valid
+ */
+var _getGeometryErrors = function (geometry) {
+    var errors = [];
+    var addError = function (message) {
+        if (errors.indexOf(message) < 0) {
+            errors.push(message);
+        }
+    };
+    var checkLine = function (coords) {
+        if (_removeDuplicateCoordinates(coords, false).length < 2) {
+            addError('A line needs at least two distinct points.');
+        }
+    };
+    var checkPolygon = function (rings) {
+        rings.forEach(function (ring) {
+            var distinct = _removeDuplicateCoordinates(ring, true);
+            if (distinct.length < 3) {
+                addError('A region needs at least three distinct corners.');
+            } else if (_isSelfIntersecting(distinct)) {
+                addError('The edges of the region cross each other.');
+            } else if (_getSignedArea(distinct) === 0) {
+                addError('The region has no area.');
+            }
+        });
+    };
+
+    switch (geometry.type) {
+    case 'LineString':
+        checkLine(geometry.coordinates);
+        break;
+    case 'MultiLineString':
+        geometry.coordinates.forEach(checkLine);
+        break;
+    case 'Polygon':
+        checkPolygon(geometry.coordinates);
+        break;
+    case 'MultiPolygon':
+        geometry.coordinates.forEach(checkPolygon);
+        break;
+    case 'GeometryCollection':
+        geometry.geometries.forEach(function (part) {
+            _getGeometryErrors(part).forEach(addError);
+        });
+        break;
+    }
+    return errors;
+}
+
+/**
+ * Checks whether a drawn object has the same vertex twice in a row, which
+ * _fixGeometry() can fix
+ */
+var _hasRepeatedVertices = function (layer) {
+    var hasRepeats = function (latlngs) {
+        var coords = _toCoordinates(latlngs);
+        /*
+         * Rings loaded from GeoJSON repeat the first vertex at the end, which
+         * is fine
+         */
+        return _removeDuplicateCoordinates(coords, false).length < coords.length;
+    };
+    if (layer.getLatLng) {
+        return false;
+    } else if (layer instanceof L.Polygon) {
+        return _getRings(layer).some(hasRepeats);
+    } else if (layer instanceof L.Polyline) {
+        return hasRepeats(layer.getLatLngs());
+    } else if (layer.getLayers) {
+        return layer.getLayers().some(_hasRepeatedVertices);
+    }
+    return false;
+}
+
+/**
+ * Removes repeated vertices from a drawn object (see _hasRepeatedVertices())
+ * 
+ * @param layer
+ *            The drawn object, which is modified
+ */
+var _fixGeometry = function (layer) {
+    var fix = function (latlngs, isRing) {
+        var coords = _removeDuplicateCoordinates(_toCoordinates(latlngs), isRing);
+        return coords.map(function (coord) {
+            return L.latLng(coord[1], coord[0]);
+        });
+    };
+    if (layer instanceof L.Polygon) {
+        var rings = _getRings(layer).map(function (ring) {
+            return fix(ring, true);
+        });
+        if (layer._holes) {
+            /*
+             * Leaflet 0.7 keeps the holes separately from the outer ring
+             */
+            layer._holes = rings.slice(1);
+            layer.setLatLngs(rings[0]);
+        } else {
+            layer.setLatLngs(rings.length == 1 ? rings[0] : rings);
+        }
+    } else if (layer instanceof L.Polyline) {
+        layer.setLatLngs(fix(layer.getLatLngs(), false));
+    } else if (layer.getLayers && !layer.getLatLng) {
+        layer.getLayers().forEach(_fixGeometry);
+    }
+    if (layer.editing && layer.editing.enabled() && layer.editing.updateMarkers) {
+        /*
+         * Move the editing handles to the remaining vertices
+         */
+        layer.editing.updateMarkers();
+    }
+}
+
+/**
+ * Gets the rings of a polygon layer, the outer ring first followed by any
+ * holes, each as an array of L.LatLngs
+ */
+var _getRings = function (layer) {
+    var rings = layer.getLatLngs();
+    if (!(rings[0] instanceof Array)) {
+        /*
+         * Leaflet 0.7 keeps the holes separately from the outer ring
+         */
+        rings = [rings].concat(layer._holes || []);
+    }
+    return rings;
+}
+
+/**
+ * Removes consecutive repeated coordinates from a line or ring. For a ring,
+ * the closing coordinate is also removed if it is the same as the first.
+ */
+var _removeDuplicateCoordinates = function (coords, isRing) {
+    var distinct = coords.filter(function (coord, i) {
+        return i == 0 || coord[0] != coords[i - 1][0] || coord[1] != coords[i - 1][1];
+    });
+    while (isRing && distinct.length > 1 && distinct[0][0] == distinct[distinct.length - 1][0] &&
+        distinct[0][1] == distinct[distinct.length - 1][1]) {
+        distinct.pop();
+    }
+    return distinct;
+}
+
+/**
+ * Checks whether any two non-adjacent edges of a ring cross or touch
+ * 
+ * @param ring
+ *            The ring, as an array of [lng, lat] coordinates without the
+ *            closing coordinate
+ */
+var _isSelfIntersecting = function (ring) {
+    var n = ring.length;
+    for (var i = 0; i < n; i++) {
+        for (var j = i + 2; j < n; j++) {
+            if (i == 0 && j == n - 1) {
+                /*
+                 * These edges share the first vertex
+                 */
+                continue;
+            }
+            if (_segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[(j + 1) % n])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks whether the line segments a-b and c-d intersect
+ */
+var _segmentsIntersect = function (a, b, c, d) {
+    var direction = function (p, q, r) {
+        var cross = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+        return cross > 0 ? 1 : cross < 0 ? -1 : 0;
+    };
+    var onSegment = function (p, q, r) {
+        return Math.min(p[0], q[0]) <= r[0] && r[0] <= Math.max(p[0], q[0]) &&
+            Math.min(p[1], q[1]) <= r[1] && r[1] <= Math.max(p[1], q[1]);
+    };
+    var d1 = direction(c, d, a);
+    var d2 = direction(c, d, b);
+    var d3 = direction(a, b, c);
+    var d4 = direction(a, b, d);
+    if (d1 * d2 < 0 && d3 * d4 < 0) {
+        return true;
+    }
+    /*
+     * Otherwise they only intersect if an end of one lies on the other
+     */
+    return (d1 == 0 && onSegment(c, d, a)) || (d2 == 0 && onSegment(c, d, b)) ||
+        (d3 == 0 && onSegment(a, b, c)) || (d4 == 0 && onSegment(a, b, d));
+}
+
+/**
+ * Calculates the vertices of a polygon approximating a circle on the Earth's
+ * surface, in clockwise order
+ * 
+ * @param centre
+ *            The centre of the circle, as an L.LatLng
+ * @param radius
+ *            The radius of the circle, in metres
+ */
+var _getCirclePoints = function (centre, radius) {
+    var toRad = Math.PI / 180;
+    var lat = centre.lat * toRad;
+    var lng = centre.lng * toRad;
+    /*
+     * The angular distance, using the same Earth radius as Leaflet
+     */
+    var distance = radius / 6378137;
+    var points = [];
+    for (var i = 0; i < CIRCLE_VERTICES; i++) {
+        var bearing = 2 * Math.PI * i / CIRCLE_VERTICES;
+        var pointLat = Math.asin(Math.sin(lat) * Math.cos(distance) +
+            Math.cos(lat) * Math.sin(distance) * Math.cos(bearing));
+        var pointLng = lng + Math.atan2(Math.sin(bearing) * Math.sin(distance) * Math.cos(lat),
+            Math.cos(distance) - Math.sin(lat) * Math.sin(pointLat));
+        points.push(L.latLng(pointLat / toRad, pointLng / toRad));
+    }
+    return points;
+}
+
+/**
+ * Converts a Date or time string to an ISO8601 string
+ */
+var _toIsoTime = function (time) {
+    return (time instanceof Date ? time : new Date(time)).toISOString();
+}
+
+/**
+ * Generates a random (version 4) UUID
+ */
+var _uuid = function () {
+    var bytes = new Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        bytes = crypto.getRandomValues(new Uint8Array(16));
+    } else {
+        for (var i = 0; i < 16; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    /*
+     * Set the version and variant bits
+     */
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    var uuid = '';
+    for (var j = 0; j < 16; j++) {
+        if (j == 4 || j == 6 || j == 8 || j == 10) {
+            uuid += '-';
+        }
+        uuid += (bytes[j] + 0x100).toString(16).substr(1);
+    }
+    return uuid;
+}
+
+/**
+ * Generates a new unique URI under the given base URI
+ */
+var _generateUri = function (baseUri) {
+    return baseUri + _uuid();
+}
+
+/**
+ * The prefixes used when serialising annotations
+ */
+var PREFIXES = {
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    charme: CHARME,
+    oa: OA,
+    prov: 'http://www.w3.org/ns/prov#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    time: 'http://www.w3.org/2006/time#',
+    geo: 'http://www.opengis.net/ont/geosparql#',
+    cnt: 'http://www.w3.org/2011/content#',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    dctypes: 'http://purl.org/dc/dcmitype/',
+    foaf: 'http://xmlns.com/foaf/0.1/'
+};
+
+/**
+ * The content types used to post each RDF format to the CHARMe node
+ */
+var RDF_CONTENT_TYPES = {
+    turtle: 'text/turtle',
+    jsonld: 'application/ld+json'
+};
+
+/**
+ * Creates an RDF literal term
+ * 
+ * @param value
+ *            The value of the literal. This is converted to a string.
+ * @param datatype
+ *            (Optional) The IRI (or prefixed name) of the datatype of the
+ *            literal
+ */
+var _literal = function (value, datatype) {
+    return {
+        literal: String(value),
+        datatype: datatype
+    };
+}
+
+/**
+ * A minimal RDF graph, used to construct annotations before serialising them
+ * to Turtle or JSON-LD. Subjects, predicates and non-literal objects are given
+ * as strings, either as full IRIs or as prefixed names using one of the given
+ * prefixes. The predicate "a" is shorthand for rdf:type. Literal objects are
+ * created with _literal().
+ * 
+ * @param prefixes
+ *            An object mapping prefixes to namespace IRIs
+ */
+function _Graph(prefixes) {
+    this.prefixes = prefixes;
+    this.triples = [];
+}
+
+/**
+ * Adds a triple to the graph. Throws an Error if the subject, predicate,
+ * object or datatype is not a valid IRI.
+ * 
+ * @return This graph, so that calls can be chained
+ */
+_Graph.prototype.add = function (subject, predicate, object) {
+    var triple = {
+        subject: this._expand(subject),
+        predicate: predicate == 'a' ? PREFIXES.rdf + 'type' : this._expand(predicate),
+        object: object && object.literal !== undefined ? {
+            literal: object.literal,
+            datatype: object.datatype && this._expand(object.datatype)
+        } : this._expand(object)
+    };
+    var iris = [triple.subject, triple.predicate, triple.object.literal === undefined ? triple.object :
+        triple.object.datatype];
+    for (var i = 0; i < iris.length; i++) {
+        if (iris[i] !== undefined && !_isIri(iris[i])) {
+            throw new Error('Invalid IRI: ' + iris[i]);
+        }
+    }
+    this.triples.push(triple);
+    return this;
+}
+
+/**
+ * Expands a prefixed name to a full IRI. Anything which doesn't start with a
+ * known prefix is assumed to be a full IRI already.
+ */
+_Graph.prototype._expand = function (iri) {
+    var colon = iri.indexOf(':');
+    if (colon > 0) {
+        var prefix = iri.substring(0, colon);
+        if (this.prefixes.hasOwnProperty(prefix)) {
+            return this.prefixes[prefix] + iri.substring(colon + 1);
+        }
+    }
+    return iri;
+}
+
+/**
+ * Gets the prefixed name for an IRI, or undefined if none of the prefixes can
+ * be used to abbreviate it
+ */
+_Graph.prototype._compact = function (iri) {
+    for (var prefix in this.prefixes) {
+        var ns = this.prefixes[prefix];
+        if (iri.indexOf(ns) === 0 && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(iri.substring(ns.length))) {
+            return prefix + ':' + iri.substring(ns.length);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Groups the triples by subject, preserving the order in which subjects were
+ * first added
+ */
+_Graph.prototype._getSubjects = function () {
+    var subjects = [];
+    var bySubject = {};
+    for (var i = 0; i < this.triples.length; i++) {
+        var triple = this.triples[i];
+        if (!bySubject.hasOwnProperty(triple.subject)) {
+            bySubject[triple.subject] = {
+                iri: triple.subject,
+                triples: []
+            };
+            subjects.push(bySubject[triple.subject]);
+        }
+        bySubject[triple.subject].triples.push(triple);
+    }
+    return subjects;
+}
+
+/**
+ * Serialises the graph as Turtle
+ */
+_Graph.prototype.toTurtle = function () {
+    var that = this;
+    var iriToTurtle = function (iri) {
+        return that._compact(iri) || _turtleIri(iri);
+    };
+
+    var ttl = '';
+    for (var prefix in this.prefixes) {
+        ttl += '@prefix ' + prefix + ': ' + _turtleIri(this.prefixes[prefix]) + ' .\n';
+    }
+    var subjects = this._getSubjects();
+    for (var i = 0; i < subjects.length; i++) {
+        ttl += '\n' + iriToTurtle(subjects[i].iri);
+        var triples = subjects[i].triples;
+        for (var j = 0; j < triples.length; j++) {
+            var triple = triples[j];
+            var object;
+            if (triple.object.literal !== undefined) {
+                object = _turtleString(triple.object.literal);
+                if (triple.object.datatype) {
+                    object += '^^' + iriToTurtle(triple.object.datatype);
+                }
+            } else {
+                object = iriToTurtle(triple.object);
+            }
+            ttl += (j == 0 ? ' ' : ' ;\n    ') +
+                (triple.predicate == PREFIXES.rdf + 'type' ? 'a' : iriToTurtle(triple.predicate)) +
+                ' ' + object;
+        }
+        ttl += ' .\n';
+    }
+    return ttl;
+}
+
+/**
+ * Serialises the graph as JSON-LD
+ * 
+ * @return A JSON-LD document, as an object
+ */
+_Graph.prototype.toJsonLd = function () {
+    var that = this;
+    var compact = function (iri) {
+        return that._compact(iri) || iri;
+    };
+
+    var graph = [];
+    var subjects = this._getSubjects();
+    for (var i = 0; i < subjects.length; i++) {
+        var node = {
+            '@id': subjects[i].iri
+        };
+        var triples = subjects[i].triples;
+        for (var j = 0; j < triples.length; j++) {
+            var triple = triples[j];
+            var key;
+            var value;
+            if (triple.predicate == PREFIXES.rdf + 'type') {
+                key = '@type';
+                value = compact(triple.object);
+            } else {
+                key = compact(triple.predicate);
+                if (triple.object.literal !== undefined) {
+                    value = {
+                        '@value': triple.object.literal
+                    };
+                    if (triple.object.datatype) {
+                        value['@type'] = compact(triple.object.datatype);
+                    }
+                } else {
+                    value = {
+                        '@id': triple.object
+                    };
+                }
+            }
+            node[key] = (node[key] || []).concat([value]);
+        }
+        graph.push(node);
+    }
+    return {
+        '@context': L.extend({}, this.prefixes),
+        '@graph': graph
+    };
+}
+
+/**
+ * Serialises the graph in the given format
+ * 
+ * @param format
+ *            Either "turtle" or "jsonld"
+ * @return The serialised graph, as a string
+ */
+_Graph.prototype.serialise = function (format) {
+    if (format == 'jsonld') {
+        return JSON.stringify(this.toJsonLd());
+    } else if (format == 'turtle') {
+        return this.toTurtle();
+    }
+    throw new Error('Unsupported RDF format: ' + format);
+}
+
+/**
+ * Tests whether a string can be used as an IRI, i.e. it contains no spaces,
+ * control characters or any of the characters which IRIs may not contain
+ * (<>"{}|^`\). These cannot be escaped in Turtle or SPARQL.
+ */
+var _isIri = function (iri) {
+    return typeof iri === 'string' && !/[\u0000- <>"{}|^`\\]/.test(iri);
+}
+
+/**
+ * Writes an IRI in Turtle
+ */
+var _turtleIri = function (iri) {
+    if (!_isIri(iri)) {
+        throw new Error('Invalid IRI: ' + iri);
+    }
+    return '<' + iri + '>';
+}
+
+/**
+ * Writes a string literal in Turtle, escaping quotes, backslashes and control
+ * characters
+ */
+var _turtleString = function (value) {
+    var escapes = {
+        '"': '\\"',
+        '\\': '\\\\',
+        '\n': '\\n',
+        '\r': '\\r',
+        '\t': '\\t',
+        '\b': '\\b',
+        '\f': '\\f'
+    };
+    return '"' + value.replace(/["\\\u0000-\u001f\u007f]/g, function (c) {
+        return escapes[c] || '\\u' + ('000' + c.charCodeAt(0).toString(16).toUpperCase()).slice(-4);
+    }) + '"';
+}
+
+/**
+ * The prefixes used in SPARQL queries
+ */
+var QUERY_PREFIXES = L.extend({}, PREFIXES, {
+    geof: 'http://www.opengis.net/def/function/geosparql/'
+});
+
+/**
+ * The GeoSPARQL functions used to test each spatial relation between an
+ * annotation's geometry and a search region
+ */
+var SPATIAL_RELATIONS = {
+    intersects: 'geof:sfIntersects',
+    contains: 'geof:sfContains',
+    within: 'geof:sfWithin'
+};
+
+/**
+ * Wraps an IRI so that it is bound into a _Query as an IRI rather than as a
+ * string literal
+ */
+var _iri = function (iri) {
+    return {
+        iri: iri
+    };
+}
+
+/**
+ * A builder for SPARQL SELECT queries. Graph patterns and filter expressions
+ * are given as strings, and may contain parameters of the form $name. Values
+ * for these are supplied with bind(), and are safely serialised into the query
+ * so that they cannot change its structure. Parameters which are not bound
+ * are left as (SPARQL) variables.
+ * 
+ * @param prefixes
+ *            An object mapping prefixes to namespace IRIs
+ */
+function _Query(prefixes) {
+    this.prefixes = prefixes;
+    this.variables = [];
+    this.patterns = [];
+    this.params = {};
+    this.ordering = [];
+    this.limitValue = undefined;
+    this.offsetValue = undefined;
+}
+
+/**
+ * Sets the variables to select. Takes any number of variable names (e.g.
+ * "?anno") as arguments.
+ */
+_Query.prototype.select = function () {
+    this.variables = this.variables.concat(Array.prototype.slice.call(arguments));
+    return this;
+}
+
+/**
+ * Adds a graph pattern which must be matched
+ */
+_Query.prototype.where = function (pattern) {
+    this.patterns.push(pattern);
+    return this;
+}
+
+/**
+ * Adds an optional graph pattern
+ */
+_Query.prototype.optional = function (pattern) {
+    this.patterns.push('OPTIONAL { ' + pattern + ' }');
+    return this;
+}
+
+/**
+ * Adds a filter expression
+ */
+_Query.prototype.filter = function (expression) {
+    this.patterns.push('FILTER(' + expression + ')');
+    return this;
+}
+
+/**
+ * Binds a value to a parameter
+ * 
+ * @param name
+ *            The name of the parameter, without the leading $
+ * @param value
+ *            The value. Strings are bound as string literals, numbers as
+ *            numeric literals and Dates as xsd:dateTime literals. Use _iri()
+ *            to bind an IRI and _literal() to bind a typed literal. Arrays are
+ *            bound as comma-separated lists, e.g. for use with IN.
+ */
+_Query.prototype.bind = function (name, value) {
+    this.params[name] = value;
+    return this;
+}
+
+/**
+ * Adds an ordering condition, e.g. "?time" or "DESC(?time)"
+ */
+_Query.prototype.orderBy = function (condition) {
+    this.ordering.push(condition);
+    return this;
+}
+
+/**
+ * Sets the maximum number of results to return
+ */
+_Query.prototype.limit = function (limit) {
+    this.limitValue = limit;
+    return this;
+}
+
+/**
+ * Sets the number of results to skip
+ */
+_Query.prototype.offset = function (offset) {
+    this.offsetValue = offset;
+    return this;
+}
+
+/**
+ * Serialises a bound value as a SPARQL term
+ */
+_Query.prototype._serialise = function (value) {
+    if (value instanceof Array) {
+        return value.map(this._serialise, this).join(', ');
+    } else if (value && value.iri !== undefined) {
+        return _sparqlIri(value.iri);
+    } else if (value && value.literal !== undefined) {
+        var term = _sparqlString(value.literal);
+        if (value.datatype) {
+            term += '^^' + _sparqlIri(new _Graph(this.prefixes)._expand(value.datatype));
+        }
+        return term;
+    } else if (value instanceof Date) {
+        return _sparqlString(value.toISOString()) + '^^' + _sparqlIri(PREFIXES.xsd + 'dateTime');
+    } else if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new Error('Cannot bind non-finite number: ' + value);
+        }
+        return String(value);
+    } else if (typeof value === 'string') {
+        return _sparqlString(value);
+    }
+    throw new Error('Cannot bind value: ' + value);
+}
+
+/**
+ * Serialises the query
+ */
+_Query.prototype.toString = function () {
+    var that = this;
+    var query = '';
+    for (var prefix in this.prefixes) {
+        query += 'PREFIX ' + prefix + ': ' + _sparqlIri(this.prefixes[prefix]) + ' ';
+    }
+    var where = this.patterns.join(' ').replace(/\$(\w+)/g, function (match, name) {
+        return that.params.hasOwnProperty(name) ? that._serialise(that.params[name]) : match;
+    });
+    query += 'SELECT ' + (this.variables.length > 0 ? this.variables.join(' ') : '*') +
+        ' WHERE { ' + where + ' }';
+    if (this.ordering.length > 0) {
+        query += ' ORDER BY ' + this.ordering.join(' ');
+    }
+    if (this.limitValue !== undefined) {
+        query += ' LIMIT ' + parseInt(this.limitValue, 10);
+    }
+    if (this.offsetValue !== undefined) {
+        query += ' OFFSET ' + parseInt(this.offsetValue, 10);
+    }
+    return query;
+}
+
+/**
+ * Writes an IRI in SPARQL. Unlike Turtle, escape sequences in SPARQL may be
+ * processed before the query is parsed, so IRIs containing characters which
+ * are not allowed are rejected rather than escaped.
+ */
+var _sparqlIri = function (iri) {
+    if (!_isIri(iri)) {
+        throw new Error('Invalid IRI: ' + iri);
+    }
+    return '<' + iri + '>';
+}
+
+/**
+ * Writes a string literal in SPARQL, escaping quotes, backslashes and line
+ * breaks
+ */
+var _sparqlString = function (value) {
+    var escapes = {
+        '"': '\\"',
+        '\\': '\\\\',
+        '\n': '\\n',
+        '\r': '\\r',
+        '\t': '\\t',
+        '\b': '\\b',
+        '\f': '\\f'
+    };
+    return '"' + String(value).replace(/["\\\n\r\t\b\f]/g, function (c) {
+        return escapes[c];
+    }) + '"';
+}
+
+/**
+ * The XML Schema datatypes whose values are converted to numbers when reading
+ * SPARQL JSON results
+ */
+var NUMERIC_DATATYPES = ['integer', 'decimal', 'float', 'double', 'int', 'long', 'short',
+    'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger'
+].map(function (type) {
+    return PREFIXES.xsd + type;
+});
+
+/**
+ * Converts the bindings from SPARQL JSON results of the annotation query into
+ * GeoJSON features, in the same form as the node's GeoJSON output. The "wkt"
+ * binding of each result gives the geometry and the other bindings give the
+ * properties. Geometries in CRSs other than WGS84 are converted to longitude
+ * and latitude. Results whose WKT can't be parsed or converted, or is empty,
+ * are skipped.
+ * 
+ * @param bindings
+ *            The array of result bindings
+ * @return An array of GeoJSON features
+ */
+var _getFeaturesFromBindings = function (bindings) {
+    var features = [];
+    for (var i = 0; i < bindings.length; i++) {
+        var properties = {};
+        for (var name in bindings[i]) {
+            var term = bindings[i][name];
+            properties[name] = term.datatype && NUMERIC_DATATYPES.indexOf(term.datatype) >= 0 ?
+                Number(term.value) : term.value;
+        }
+        var geometry;
+        try {
+            geometry = _parseWkt(properties.wkt);
+            var crs = _getWktCrs(properties.wkt);
+            if (crs) {
+                geometry = _transformGeometry(geometry, _getProjection(crs).inverse);
+            }
+        } catch (e) {
+            console.log('Problem parsing geometry of annotation ' + properties.anno, e);
+            continue;
+        }
+        if (!geometry) {
+            /*
+             * An empty geometry can't be displayed
+             */
+            continue;
+        }
+        delete properties.wkt;
+        features.push({
+            type: 'Feature',
+            geometry: geometry,
+            properties: properties
+        });
+    }
+    return features;
+}
+
+/**
+ * Constructs the RDF graph needed to insert an annotation.
+ * 
+ * @param anno
+ *            An object describing the annotation, with the fields "uri" (the
+ *            URI of the new annotation), "baseUri" (under which the URIs of
+ *            the other resources are generated), "datasetUri",
+ *            "datasetVar", "location" (a WKT string), "radius" (in metres,
+ *            if the location is the centre of a circle), "comment", "motivation"
+ *            (a URI, defaults to oa:commenting), "tags" (an array of tag
+ *            URIs), "links" (an array of objects with the fields "uri" and
+ *            optionally "title") and optionally "time",
+ *            "vertical" (the extents it applies to) and "revisedUri" (the URI
+ *            of the annotation this is a revision of)
+ * @return The annotation as a _Graph
+ */
+var _getAnnotationGraph = function (anno) {
+    var ids = {};
+    var parts = ['target', 'body', 'selector', 'variable', 'spatialExtent', 'geometry',
+        'temporalExtent', 'temporalBeginning', 'temporalEnd', 'verticalExtent'];
+    for (var i = 0; i < parts.length; i++) {
+        ids[parts[i]] = _generateUri(anno.baseUri);
+    }
+
+    var graph = new _Graph(PREFIXES);
+    graph.add(anno.uri, 'a', 'oa:Annotation')
+        .add(anno.uri, 'oa:hasTarget', ids.target)
+        .add(anno.uri, 'oa:hasBody', ids.body);
+    /*
+     * Tags are added as additional semantic tag bodies
+     */
+    var tags = anno.tags || [];
+    for (i = 0; i < tags.length; i++) {
+        graph.add(anno.uri, 'oa:hasBody', tags[i])
+            .add(tags[i], 'a', 'oa:SemanticTag');
+    }
+    /*
+     * ...as are links to publications
+     */
+    var links = anno.links || [];
+    for (i = 0; i < links.length; i++) {
+        graph.add(anno.uri, 'oa:hasBody', links[i].uri)
+            .add(links[i].uri, 'a', 'foaf:Document');
+        if (links[i].title) {
+            graph.add(links[i].uri, 'dc:title', _literal(links[i].title));
+        }
+    }
+    if (anno.revisedUri) {
+        graph.add(anno.uri, 'prov:wasRevisionOf', anno.revisedUri);
+    }
+    graph.add(anno.uri, 'oa:motivatedBy', anno.motivation || OA + 'commenting');
+
+    graph.add(ids.target, 'a', 'charme:DatasetSubset')
+        .add(ids.target, 'oa:hasSource', anno.datasetUri)
+        .add(ids.target, 'oa:hasSelector', ids.selector)
+        .add(anno.datasetUri, 'a', 'charme:dataset')
+        .add(ids.selector, 'a', 'charme:SubsetSelector')
+        .add(ids.selector, 'charme:hasVariable', ids.variable)
+        .add(ids.selector, 'charme:hasSpatialExtent', ids.spatialExtent)
+        .add(ids.body, 'a', 'cnt:ContentAsText')
+        .add(ids.body, 'a', 'dctypes:Text')
+        .add(ids.body, 'cnt:chars', _literal(anno.comment))
+        .add(ids.body, 'dc:format', _literal('text/plain'))
+        .add(ids.variable, 'a', 'charme:Variable')
+        .add(ids.variable, 'charme:hasInternalName', _literal(anno.datasetVar))
+        .add(ids.spatialExtent, 'a', 'charme:SpatialExtent')
+        .add(ids.spatialExtent, 'geo:hasGeometry', ids.geometry)
+        .add(ids.geometry, 'a', 'geo:Geometry')
+        .add(ids.geometry, 'geo:asWKT', _literal(anno.location, 'geo:wktLiteral'));
+    if (anno.radius !== undefined) {
+        graph.add(ids.spatialExtent, 'charme:hasRadius', _literal(anno.radius, 'xsd:double'));
+    }
+
+    var datasetTime = anno.time;
+    var datasetVertical = anno.vertical;
+    if (datasetTime) {
+        graph.add(ids.selector, 'charme:hasTemporalExtent', ids.temporalExtent)
+            .add(ids.temporalExtent, 'a', 'charme:TemporalExtent')
+            .add(ids.temporalExtent, 'time:hasBeginning', ids.temporalBeginning)
+            .add(ids.temporalExtent, 'time:hasEnd', ids.temporalEnd)
+            .add(ids.temporalBeginning, 'a', 'time:Instant')
+            .add(ids.temporalBeginning, 'time:inXSDDateTime', _literal(datasetTime.start, 'xsd:dateTime'))
+            .add(ids.temporalEnd, 'a', 'time:Instant')
+            .add(ids.temporalEnd, 'time:inXSDDateTime', _literal(datasetTime.end, 'xsd:dateTime'));
+    }
+    if (datasetVertical) {
+        graph.add(ids.selector, 'charme:hasVerticalExtent', ids.verticalExtent)
+            .add(ids.verticalExtent, 'a', 'charme:VerticalExtent')
+            .add(ids.verticalExtent, 'charme:hasMinimumValue', _literal(datasetVertical.min, 'xsd:double'))
+            .add(ids.verticalExtent, 'charme:hasMaximumValue', _literal(datasetVertical.max, 'xsd:double'));
+    }
+    return graph;
+}
+
+/**
+ * Constructs the RDF graph needed to insert a reply to an existing annotation.
+ */
+var _getReplyGraph = function (uri, baseUri, parentUri, comment) {
+    var bodyUri = _generateUri(baseUri);
+    return new _Graph(PREFIXES)
+        .add(uri, 'a', 'oa:Annotation')
+        .add(uri, 'oa:hasTarget', parentUri)
+        .add(uri, 'oa:hasBody', bodyUri)
+        .add(uri, 'oa:motivatedBy', 'oa:replying')
+        .add(bodyUri, 'a', 'cnt:ContentAsText')
+        .add(bodyUri, 'a', 'dctypes:Text')
+        .add(bodyUri, 'cnt:chars', _literal(comment))
+        .add(bodyUri, 'dc:format', _literal('text/plain'));
 }
 
 return CharmeAnnotator;
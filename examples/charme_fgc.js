@@ -21,6 +21,9 @@ document.addEventListener('DOMContentLoaded', function () {
     // Create the CHARMe annotator with the given CHARMe node, client ID, and map object
     var annotator = new CharmeAnnotator(charmeUrl, charmeClientId, map);
 
+    // Add a panel listing the displayed annotations
+    annotator.addAnnotationList();
+
     // Set the function to call after a successful login
     annotator.on('login', function (userdetails) {
         document.getElementById('greeting').innerHTML = 'Logged in as user ' + userdetails['username'] + '(' + userdetails['first_name'] + ' ' + userdetails['last_name'] + ')';
@@ -94,10 +97,6 @@ function selectDataset(datasetUri, variable, annotator, map) {
     });
     wmsLayer.addTo(map);
 
-    if (annotator.isAnnotationsOn()) {
-        // If we're viewing annotations, toggle them off/on to get
-        // correct ones for current DS
-        annotator.toggleAnnotations();
-        annotator.toggleAnnotations();
-    }
+    // If we're viewing annotations, reload the correct ones for current DS
+    annotator.refreshAnnotations();
 }
\ No newline at end of file
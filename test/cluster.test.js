@@ -0,0 +1,156 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var L = charme.L;
+var _ClusterGroup = charme._private._ClusterGroup;
+
+/*
+ * A stand-in for L.Map, with just the methods that the cluster group uses
+ */
+var createMap = function (zoom) {
+    var layers = [];
+    return L.extend({}, L.Mixin.Events, {
+        addLayer: function (layer) {
+            if (layers.indexOf(layer) < 0) {
+                layers.push(layer);
+            }
+            return this;
+        },
+        removeLayer: function (layer) {
+            var index = layers.indexOf(layer);
+            if (index >= 0) {
+                layers.splice(index, 1);
+            }
+            return this;
+        },
+        hasLayer: function (layer) {
+            return layers.indexOf(layer) >= 0;
+        },
+        getZoom: function () {
+            return zoom;
+        },
+        setZoom: function (z) {
+            zoom = z;
+            this.fire('zoomend');
+        },
+        project: function (latlng, z) {
+            return L.CRS.EPSG3857.latLngToPoint(L.latLng(latlng), z);
+        },
+        layers: layers
+    });
+};
+
+var nextFrame = function () {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+    });
+};
+
+var getClusters = function (map) {
+    return map.layers.filter(function (layer) {
+        return layer.getAllChildMarkers;
+    });
+};
+
+test('lone markers are displayed and nearby markers are clustered', function () {
+    var map = createMap(5);
+    var a = L.marker([0, 0]);
+    var b = L.marker([0.001, 0.001]);
+    var c = L.marker([40, 40]);
+    var group = new _ClusterGroup();
+    group.addLayer(a).addLayer(b).addLayer(c);
+    group.onAdd(map);
+
+    assert.ok(map.hasLayer(c));
+    assert.ok(!map.hasLayer(a));
+    assert.ok(!map.hasLayer(b));
+    var clusters = getClusters(map);
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].getAllChildMarkers().length, 2);
+    assert.ok(group.hasLayer(a) && group.hasLayer(b) && group.hasLayer(c));
+});
+
+test('clusters are replaced when the map is zoomed', function () {
+    var map = createMap(5);
+    var a = L.marker([0, 0]);
+    var b = L.marker([0.001, 0.001]);
+    var group = new _ClusterGroup();
+    group.addLayer(a).addLayer(b);
+    group.onAdd(map);
+    var cluster = getClusters(map)[0];
+    assert.ok(cluster);
+
+    map.setZoom(18);
+    assert.ok(!map.hasLayer(cluster));
+    assert.ok(map.hasLayer(a));
+    assert.ok(map.hasLayer(b));
+    assert.strictEqual(map.layers.length, 2);
+
+    map.setZoom(5);
+    assert.ok(!map.hasLayer(a));
+    assert.ok(!map.hasLayer(b));
+    assert.strictEqual(getClusters(map).length, 1);
+    assert.strictEqual(map.layers.length, 1);
+});
+
+test('markers added to a displayed group appear on the next frame', async function () {
+    var map = createMap(5);
+    var group = new _ClusterGroup();
+    group.onAdd(map);
+    var a = L.marker([0, 0]);
+    var b = L.marker([40, 40]);
+    group.addLayer(a).addLayer(b);
+    await nextFrame();
+    assert.ok(map.hasLayer(a));
+    assert.ok(map.hasLayer(b));
+
+    group.removeLayer(a);
+    assert.ok(!group.hasLayer(a));
+    await nextFrame();
+    assert.ok(!map.hasLayer(a));
+    assert.ok(map.hasLayer(b));
+});
+
+test('clearLayers removes the displayed markers and clusters', function () {
+    var map = createMap(5);
+    var group = new _ClusterGroup();
+    group.addLayer(L.marker([0, 0])).addLayer(L.marker([0.001, 0.001])).addLayer(L.marker([40, 40]));
+    group.onAdd(map);
+    assert.strictEqual(map.layers.length, 2);
+
+    group.clearLayers();
+    assert.strictEqual(map.layers.length, 0);
+    map.setZoom(18);
+    assert.strictEqual(map.layers.length, 0);
+});
+
+test('clicking a cluster fires clusterclick on the group', function () {
+    var map = createMap(5);
+    var a = L.marker([0, 0]);
+    var b = L.marker([0.001, 0.001]);
+    var group = new _ClusterGroup();
+    group.addLayer(a).addLayer(b);
+    group.onAdd(map);
+    var fired;
+    group.on('clusterclick', function (e) {
+        fired = e;
+    });
+    getClusters(map)[0].fire('click');
+    assert.ok(fired);
+    assert.deepStrictEqual(fired.layer.getAllChildMarkers().length, 2);
+});
+
+test('events from displayed markers are propagated to the group', function () {
+    var map = createMap(5);
+    var a = L.marker([0, 0]);
+    var group = new _ClusterGroup();
+    group.addLayer(a);
+    group.onAdd(map);
+    var clicked;
+    group.on('click', function (e) {
+        clicked = e.layer;
+    });
+    a.fire('click');
+    assert.strictEqual(clicked, a);
+});
@@ -0,0 +1,169 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var CharmeAnnotator = charme.CharmeAnnotator;
+var _getQuery = charme._private._getQuery;
+
+var query = _getQuery({
+    datasetUri: 'http://example.org/dataset',
+    datasetVar: 'sst'
+});
+
+var FEATURE = {
+    type: 'Feature',
+    geometry: {
+        type: 'Point',
+        coordinates: [1, 2]
+    },
+    properties: {
+        anno: 'http://example.org/anno'
+    }
+};
+
+/*
+ * Creates an object with just the fields which _fetchFeatures() uses, which
+ * counts the SPARQL JSON queries rather than running them, and returns the
+ * given bindings (if any)
+ */
+var createAnnotator = function (bindings) {
+    return {
+        options: {
+            resultsFormat: 'auto'
+        },
+        charmeUrl: 'http://charme.example.org/',
+        _fetchFeatures: CharmeAnnotator.prototype._fetchFeatures,
+        _runQuery: function () {
+            this.sparqlQueries = (this.sparqlQueries || 0) + 1;
+            return Promise.resolve(bindings || []);
+        }
+    };
+};
+
+/*
+ * The body is created in the sandbox, as it would be by fetch()
+ */
+var response = function (status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        statusText: 'Status ' + status,
+        json: function () {
+            return typeof body === 'string' ? Promise.reject(new SyntaxError('Unexpected token')) :
+                Promise.resolve(charme.parseJson(JSON.stringify(body)));
+        }
+    };
+};
+
+var withFetch = function (f, body) {
+    var previous = charme.window.fetch;
+    var originalLog = console.log;
+    charme.window.fetch = f;
+    console.log = function () {};
+    return Promise.resolve().then(body).finally(function () {
+        charme.window.fetch = previous;
+        console.log = originalLog;
+    });
+};
+
+test('GeoJSON is used when the node supports it', function () {
+    var annotator = createAnnotator();
+    return withFetch(function () {
+        return Promise.resolve(response(200, {
+            type: 'FeatureCollection',
+            features: [FEATURE]
+        }));
+    }, function () {
+        return annotator._fetchFeatures(query).then(function (features) {
+            assert.strictEqual(features.length, 1);
+            assert.strictEqual(features.rows, 1);
+            assert.strictEqual(annotator._resultsFormat, 'geojson');
+            assert.strictEqual(annotator.sparqlQueries, undefined);
+        });
+    });
+});
+
+[400, 406, 415, 501].forEach(function (status) {
+    test('SPARQL JSON results are used when GeoJSON is rejected with ' + status, function () {
+        var annotator = createAnnotator();
+        return withFetch(function () {
+            return Promise.resolve(response(status, {}));
+        }, function () {
+            return annotator._fetchFeatures(query).then(function () {
+                assert.strictEqual(annotator._resultsFormat, 'sparql');
+                assert.strictEqual(annotator.sparqlQueries, 1);
+            });
+        });
+    });
+});
+
+test('SPARQL JSON results are used when the node doesn\'t return GeoJSON', function () {
+    return Promise.all([{
+        head: {},
+        results: {
+            bindings: []
+        }
+    }, '<html>'].map(function (body) {
+        var annotator = createAnnotator();
+        return withFetch(function () {
+            return Promise.resolve(response(200, body));
+        }, function () {
+            return annotator._fetchFeatures(query).then(function () {
+                assert.strictEqual(annotator._resultsFormat, 'sparql');
+                assert.strictEqual(annotator.sparqlQueries, 1);
+            });
+        });
+    }));
+});
+
+test('results which can\'t be converted are counted as rows', function () {
+    var binding = function (anno, wkt) {
+        return {
+            anno: {
+                type: 'uri',
+                value: anno
+            },
+            wkt: {
+                type: 'literal',
+                value: wkt
+            }
+        };
+    };
+    var annotator = createAnnotator(charme.parseJson(JSON.stringify([
+        binding('http://example.org/anno1', 'POINT (1 2)'),
+        binding('http://example.org/anno2', 'POINT (1')
+    ])));
+    annotator.options.resultsFormat = 'sparql';
+    return withFetch(function () {
+        throw new Error('GeoJSON should not be requested');
+    }, function () {
+        return annotator._fetchFeatures(query).then(function (features) {
+            assert.strictEqual(features.length, 1);
+            assert.strictEqual(features.rows, 2);
+        });
+    });
+});
+
+test('server errors are passed on without changing the format', function () {
+    var annotator = createAnnotator();
+    return withFetch(function () {
+        return Promise.resolve(response(503, {}));
+    }, function () {
+        return assert.rejects(annotator._fetchFeatures(query), /503/).then(function () {
+            assert.strictEqual(annotator._resultsFormat, undefined);
+            assert.strictEqual(annotator.sparqlQueries, undefined);
+        });
+    });
+});
+
+test('network errors are passed on without changing the format', function () {
+    var annotator = createAnnotator();
+    return withFetch(function () {
+        return Promise.reject(new TypeError('Failed to fetch'));
+    }, function () {
+        return assert.rejects(annotator._fetchFeatures(query), /Failed to fetch/).then(function () {
+            assert.strictEqual(annotator._resultsFormat, undefined);
+            assert.strictEqual(annotator.sparqlQueries, undefined);
+        });
+    });
+});
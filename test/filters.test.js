@@ -0,0 +1,40 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var CharmeAnnotator = charme.CharmeAnnotator;
+
+/*
+ * Calls a method of CharmeAnnotator on an object which counts the refreshes
+ */
+var countRefreshes = function (method, args) {
+    var annotator = {
+        refreshes: 0,
+        refreshAnnotations: function () {
+            this.refreshes++;
+        }
+    };
+    CharmeAnnotator.prototype[method].apply(annotator, args);
+    return annotator;
+};
+
+test('setting the time refreshes the annotations', function () {
+    var annotator = countRefreshes('setDatasetTime', ['2010-01-01T00:00:00Z']);
+    assert.strictEqual(annotator.refreshes, 1);
+    assert.strictEqual(annotator.datasetTime.start, '2010-01-01T00:00:00.000Z');
+    assert.strictEqual(countRefreshes('setDatasetTime', []).refreshes, 1);
+});
+
+test('setting the vertical level refreshes the annotations', function () {
+    var annotator = countRefreshes('setDatasetVertical', [10, 5]);
+    assert.strictEqual(annotator.refreshes, 1);
+    assert.strictEqual(annotator.datasetVertical.min, 5);
+    assert.strictEqual(annotator.datasetVertical.max, 10);
+});
+
+test('setting the tag filter refreshes the annotations', function () {
+    var annotator = countRefreshes('setTagFilter', [['http://example.org/tag']]);
+    assert.strictEqual(annotator.refreshes, 1);
+    assert.strictEqual(annotator.tagFilter.length, 1);
+    assert.strictEqual(countRefreshes('setTagFilter', [[]]).tagFilter, undefined);
+});
@@ -0,0 +1,208 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var _splitPolygon = charme._private._splitPolygon;
+var _getMultiGeometry = charme._private._getMultiGeometry;
+var _toWkt = charme._private._toWkt;
+var _getGeometryErrors = charme._private._getGeometryErrors;
+var _getGeometry = charme._private._getGeometry;
+var _getLocationString = charme._private._getLocationString;
+var _getBoundsWkt = charme._private._getBoundsWkt;
+var _getCentroid = charme._private._getCentroid;
+var L = charme.L;
+
+/*
+ * A simple north polar azimuthal projection, in degrees from the pole
+ */
+var polar = function (coord) {
+    var r = 90 - coord[1];
+    var theta = coord[0] * Math.PI / 180;
+    return [Math.round(r * Math.sin(theta) * 1e6) / 1e6, Math.round(-r * Math.cos(theta) * 1e6) / 1e6];
+};
+
+var splitWkt = function (rings) {
+    return _toWkt(_getMultiGeometry('Polygon', _splitPolygon(rings)));
+};
+
+test('polygons which don\'t cross the antimeridian are unchanged', function () {
+    assert.strictEqual(splitWkt([[[10, 0], [20, 0], [20, 10], [10, 10]]]),
+        'POLYGON ((10 0, 20 0, 20 10, 10 10, 10 0))');
+    assert.strictEqual(splitWkt([[[170, 0], [180, 0], [180, 10], [170, 10]]]),
+        'POLYGON ((170 0, 180 0, 180 10, 170 10, 170 0))');
+});
+
+test('polygons which cross the antimeridian are split', function () {
+    assert.strictEqual(splitWkt([[[170, 0], [190, 0], [190, 10], [170, 10]]]),
+        'MULTIPOLYGON (((180 10, 170 10, 170 0, 180 0, 180 10)), ' +
+        '((-180 0, -170 0, -170 10, -180 10, -180 0)))');
+});
+
+test('concave polygons are split into separate parts', function () {
+    /*
+     * A "C" shape opening to the east, whose arms cross the antimeridian
+     */
+    assert.strictEqual(splitWkt([[[175, 0], [185, 0], [185, 2], [178, 2], [178, 8], [185, 8], [185, 10], [175, 10]]]),
+        'MULTIPOLYGON (((180 2, 178 2, 178 8, 180 8, 180 10, 175 10, 175 0, 180 0, 180 2)), ' +
+        '((-180 0, -175 0, -175 2, -180 2, -180 0)), ' +
+        '((-180 8, -175 8, -175 10, -180 10, -180 8)))');
+    /*
+     * ...and one opening to the west
+     */
+    assert.strictEqual(splitWkt([[[185, 0], [175, 0], [175, 2], [182, 2], [182, 8], [175, 8], [175, 10], [185, 10]]]),
+        'MULTIPOLYGON (((180 10, 175 10, 175 8, 180 8, 180 10)), ' +
+        '((180 2, 175 2, 175 0, 180 0, 180 2)), ' +
+        '((-180 8, -178 8, -178 2, -180 2, -180 0, -175 0, -175 10, -180 10, -180 8)))');
+});
+
+test('holes which cross the antimeridian become part of the outer ring', function () {
+    assert.strictEqual(splitWkt([
+        [[170, 0], [190, 0], [190, 10], [170, 10]],
+        [[175, 2], [185, 2], [185, 8], [175, 8]]
+    ]), 'MULTIPOLYGON (((180 10, 170 10, 170 0, 180 0, 180 2, 175 2, 175 8, 180 8, 180 10)), ' +
+        '((-180 0, -170 0, -170 10, -180 10, -180 8, -175 8, -175 2, -180 2, -180 0)))');
+});
+
+test('holes which don\'t cross the antimeridian stay in the part containing them', function () {
+    assert.strictEqual(splitWkt([
+        [[170, 0], [190, 0], [190, 10], [170, 10]],
+        [[172, 2], [174, 2], [174, 8], [172, 8]],
+        [[-174, 2], [-172, 2], [-172, 8], [-174, 8]]
+    ]), 'MULTIPOLYGON (((180 10, 170 10, 170 0, 180 0, 180 10), (172 8, 174 8, 174 2, 172 2, 172 8)), ' +
+        '((-180 0, -170 0, -170 10, -180 10, -180 0), (-174 8, -172 8, -172 2, -174 2, -174 8)))');
+});
+
+test('shapes wider than 180 degrees keep their drawn longitudes', function () {
+    assert.strictEqual(_getLocationString(L.rectangle([[0, -100], [10, 100]])),
+        'POLYGON ((100 0, 100 10, -100 10, -100 0, 100 0))');
+    assert.strictEqual(_getLocationString(L.polyline([[0, -100], [0, 100]])),
+        'LINESTRING (-100 0, 100 0)');
+    assert.strictEqual(_getLocationString(L.polyline([[0, 100], [0, 300]])),
+        'MULTILINESTRING ((100 0, 180 0), (-180 0, -60 0))');
+    assert.strictEqual(splitWkt([[[100, 0], [300, 0], [300, 10], [100, 10]]]),
+        'MULTIPOLYGON (((180 10, 100 10, 100 0, 180 0, 180 10)), ' +
+        '((-180 0, -60 0, -60 10, -180 10, -180 0)))');
+});
+
+test('_getBoundsWkt splits viewports at the antimeridian', function () {
+    assert.strictEqual(_getBoundsWkt(L.latLngBounds([[0, -100], [10, 100]])),
+        'POLYGON ((-100 0, 100 0, 100 10, -100 10, -100 0))');
+    assert.strictEqual(_getBoundsWkt(L.latLngBounds([[0, 170], [10, 190]])),
+        'MULTIPOLYGON (((170 0, 180 0, 180 10, 170 10, 170 0)), ' +
+        '((-180 0, -170 0, -170 10, -180 10, -180 0)))');
+    assert.strictEqual(_getBoundsWkt(L.latLngBounds([[0, 300], [10, 500]])),
+        'POLYGON ((-60 0, 140 0, 140 10, -60 10, -60 0))');
+    assert.strictEqual(_getBoundsWkt(L.latLngBounds([[-90, -180], [90, 180]])), undefined);
+});
+
+test('_getGeometryErrors accepts valid geometries', function () {
+    assert.deepStrictEqual(_getGeometryErrors({
+        type: 'Point',
+        coordinates: [0, 0]
+    }).length, 0);
+    assert.deepStrictEqual(_getGeometryErrors({
+        type: 'LineString',
+        coordinates: [[0, 0], [0, 0], [1, 1]]
+    }).length, 0);
+    assert.deepStrictEqual(_getGeometryErrors(_getMultiGeometry('Polygon', _splitPolygon([
+        [[175, 0], [185, 0], [185, 2], [178, 2], [178, 8], [185, 8], [185, 10], [175, 10]]
+    ]))).length, 0);
+});
+
+test('_getGeometryErrors checks each part of a geometry', function () {
+    var errors = function (geometry) {
+        return JSON.parse(JSON.stringify(_getGeometryErrors(geometry)));
+    };
+    assert.deepStrictEqual(errors({
+        type: 'MultiLineString',
+        coordinates: [[[0, 0], [1, 1]], [[2, 2], [2, 2]]]
+    }), ['A line needs at least two distinct points.']);
+    assert.deepStrictEqual(errors({
+        type: 'MultiPolygon',
+        coordinates: [
+            [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+            [[[10, 0], [11, 1], [11, 0], [10, 1], [10, 0]]]
+        ]
+    }), ['The edges of the region cross each other.']);
+    assert.deepStrictEqual(errors({
+        type: 'GeometryCollection',
+        geometries: [{
+            type: 'Polygon',
+            coordinates: [[[0, 0], [1, 1], [2, 2], [0, 0]]]
+        }, {
+            type: 'Polygon',
+            coordinates: [[[0, 0], [1, 1], [0, 0]]]
+        }]
+    }), ['The region has no area.', 'A region needs at least three distinct corners.']);
+});
+
+test('shapes are projected without being split when a projection is given', function () {
+    var ring = [[80, 45], [80, 135], [80, 225], [80, 315]];
+    assert.strictEqual(_getGeometry(L.polygon(ring)).type, 'MultiPolygon');
+
+    var geometry = JSON.parse(JSON.stringify(_getGeometry(L.polygon(ring), undefined, polar)));
+    assert.deepStrictEqual(geometry, {
+        type: 'Polygon',
+        coordinates: [[
+            [7.071068, -7.071068], [7.071068, 7.071068], [-7.071068, 7.071068], [-7.071068, -7.071068],
+            [7.071068, -7.071068]
+        ]]
+    });
+    assert.strictEqual(_getGeometryErrors(geometry).length, 0);
+
+    geometry = JSON.parse(JSON.stringify(_getGeometry(L.polyline([[80, 170], [80, -170]]), undefined, polar)));
+    assert.strictEqual(geometry.type, 'LineString');
+    assert.strictEqual(geometry.coordinates.length, 2);
+});
+
+/*
+ * Gets the centroid of the layer displaying a GeoJSON geometry, rounded to
+ * avoid floating point differences
+ */
+var centroid = function (geometry) {
+    var layer = L.geoJson(charme.parseJson(JSON.stringify({
+        type: 'Feature',
+        geometry: geometry,
+        properties: {}
+    }))).getLayers()[0];
+    var latLng = _getCentroid(layer);
+    return [Math.round(latLng.lng * 1e6) / 1e6, Math.round(latLng.lat * 1e6) / 1e6];
+};
+
+test('_getCentroid finds the area-weighted centroid of polygons', function () {
+    assert.deepStrictEqual(centroid({
+        type: 'Polygon',
+        coordinates: [[[0, 0], [30, 0], [0, 30], [0, 0]]]
+    }), [10, 10]);
+    assert.deepStrictEqual(centroid({
+        type: 'Polygon',
+        coordinates: [[[0, 0], [12, 0], [12, 12], [0, 12], [0, 0]], [[0, 0], [0, 6], [6, 6], [6, 0], [0, 0]]]
+    }), [7, 7]);
+});
+
+test('_getCentroid handles multi-part geometries', function () {
+    assert.deepStrictEqual(centroid({
+        type: 'MultiPoint',
+        coordinates: [[0, 0], [10, 20]]
+    }), [5, 10]);
+    assert.deepStrictEqual(centroid({
+        type: 'GeometryCollection',
+        geometries: [{
+            type: 'Point',
+            coordinates: [50, 50]
+        }, {
+            type: 'Polygon',
+            coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]
+        }]
+    }), [5, 5]);
+});
+
+test('_getCentroid treats polygons split at the antimeridian as a whole', function () {
+    assert.deepStrictEqual(centroid({
+        type: 'MultiPolygon',
+        coordinates: [
+            [[[170, 0], [180, 0], [180, 10], [170, 10], [170, 0]]],
+            [[[-180, 0], [-170, 0], [-170, 10], [-180, 10], [-180, 0]]]
+        ]
+    }), [180, 5]);
+});
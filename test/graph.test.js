@@ -0,0 +1,108 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var _Graph = charme._private._Graph;
+var _literal = charme._private._literal;
+var _turtleIri = charme._private._turtleIri;
+var _turtleString = charme._private._turtleString;
+
+var PREFIXES = {
+    ex: 'http://example.org/',
+    xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+test('_turtleString escapes quotes and backslashes', function () {
+    assert.strictEqual(_turtleString('say "hi"'), '"say \\"hi\\""');
+    assert.strictEqual(_turtleString('C:\\path\\'), '"C:\\\\path\\\\"');
+    assert.strictEqual(_turtleString('\\"'), '"\\\\\\""');
+});
+
+test('_turtleString escapes line breaks and tabs', function () {
+    assert.strictEqual(_turtleString('a\nb\rc\td'), '"a\\nb\\rc\\td"');
+    assert.strictEqual(_turtleString('\r\n'), '"\\r\\n"');
+    assert.strictEqual(_turtleString('\b\f'), '"\\b\\f"');
+});
+
+test('_turtleString escapes other control characters as UCHARs', function () {
+    assert.strictEqual(_turtleString('a\u0000b'), '"a\\u0000b"');
+    assert.strictEqual(_turtleString('\u0001\u001f\u007f'), '"\\u0001\\u001F\\u007F"');
+});
+
+test('_turtleString leaves other characters alone', function () {
+    assert.strictEqual(_turtleString('<a href=\'x\'> & é ☃'), '"<a href=\'x\'> & é ☃"');
+    assert.strictEqual(_turtleString(''), '""');
+});
+
+test('_turtleIri writes valid IRIs unchanged', function () {
+    assert.strictEqual(_turtleIri('http://example.org/a?b=c&d=e#f'), '<http://example.org/a?b=c&d=e#f>');
+    assert.strictEqual(_turtleIri('http://example.org/é'), '<http://example.org/é>');
+});
+
+test('_turtleIri rejects characters which IRIs may not contain', function () {
+    ['"', '<', '>', ' ', '{', '}', '|', '^', '`', '\\', '\n', '\u0000'].forEach(function (c) {
+        assert.throws(function () {
+            _turtleIri('http://example.org/a' + c + 'b');
+        }, /Invalid IRI/, JSON.stringify(c));
+    });
+});
+
+test('_Graph.add rejects invalid IRIs', function () {
+    var graph = new _Graph(PREFIXES);
+    assert.throws(function () {
+        graph.add('http://example.org/a"> <b', 'ex:p', 'ex:o');
+    }, /Invalid IRI/);
+    assert.throws(function () {
+        graph.add('ex:s', 'ex:p', 'http://example.org/<script>');
+    }, /Invalid IRI/);
+    assert.throws(function () {
+        graph.add('ex:s', 'ex:p', _literal('x', 'http://example.org/bad type'));
+    }, /Invalid IRI/);
+    assert.strictEqual(graph.triples.length, 0);
+});
+
+test('_Graph.toTurtle writes prefixes, subjects and escaped literals', function () {
+    var graph = new _Graph(PREFIXES)
+        .add('ex:s', 'a', 'ex:Thing')
+        .add('ex:s', 'ex:comment', _literal('Line one\nLine "two"\t\\ end'))
+        .add('ex:s', 'ex:size', _literal(2.5, 'xsd:double'))
+        .add('http://example.org/other/path', 'ex:link', 'http://example.com/x?y=1');
+    assert.strictEqual(graph.toTurtle(),
+        '@prefix ex: <http://example.org/> .\n' +
+        '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .\n' +
+        '\n' +
+        'ex:s a ex:Thing ;\n' +
+        '    ex:comment "Line one\\nLine \\"two\\"\\t\\\\ end" ;\n' +
+        '    ex:size "2.5"^^xsd:double .\n' +
+        '\n' +
+        '<http://example.org/other/path> ex:link <http://example.com/x?y=1> .\n');
+});
+
+test('_Graph.toJsonLd writes literals unchanged', function () {
+    var comment = 'Quote " backslash \\ newline \n tab \t nul \u0000';
+    var graph = new _Graph(PREFIXES)
+        .add('ex:s', 'a', 'ex:Thing')
+        .add('ex:s', 'ex:comment', _literal(comment))
+        .add('ex:s', 'ex:size', _literal(2.5, 'xsd:double'));
+    var doc = JSON.parse(graph.serialise('jsonld'));
+    assert.deepStrictEqual(doc, {
+        '@context': PREFIXES,
+        '@graph': [{
+            '@id': 'http://example.org/s',
+            '@type': ['ex:Thing'],
+            'ex:comment': [{
+                '@value': comment
+            }],
+            'ex:size': [{
+                '@value': '2.5',
+                '@type': 'xsd:double'
+            }]
+        }]
+    });
+});
+
+test('_Graph.serialise rejects unknown formats', function () {
+    assert.throws(function () {
+        new _Graph(PREFIXES).serialise('n3');
+    }, /Unsupported RDF format/);
+});
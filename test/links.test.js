@@ -0,0 +1,64 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var _parseLinks = charme._private._parseLinks;
+var _escapeHtml = charme._private._escapeHtml;
+
+var parse = function (text) {
+    return JSON.parse(JSON.stringify(_parseLinks(text)));
+};
+
+test('_parseLinks accepts URLs and DOIs, one per line', function () {
+    assert.deepStrictEqual(parse('http://example.org/a?b=1\n\n  doi:10.1000/xyz123 \r\nhttps://dx.doi.org/10.1000/abc'), [{
+        uri: 'http://example.org/a?b=1'
+    }, {
+        uri: 'https://doi.org/10.1000/xyz123',
+        doi: '10.1000/xyz123'
+    }, {
+        uri: 'https://doi.org/10.1000/abc',
+        doi: '10.1000/abc'
+    }]);
+    assert.deepStrictEqual(parse(''), []);
+});
+
+test('_parseLinks rejects lines which are not URLs or DOIs', function () {
+    assert.throws(function () {
+        _parseLinks('javascript:alert(1)');
+    }, /Not a valid URL or DOI/);
+    assert.throws(function () {
+        _parseLinks('doi:10.12/x');
+    }, /Invalid DOI/);
+});
+
+test('_parseLinks rejects characters which IRIs may not contain', function () {
+    ['"', '<', '>', '{', '}', '|', '^', '`', '\\'].forEach(function (c) {
+        assert.throws(function () {
+            _parseLinks('http://example.org/a' + c + 'b');
+        }, /Not a valid URL or DOI/, c);
+        assert.throws(function () {
+            _parseLinks('10.1000/a' + c + 'b');
+        }, /Invalid DOI/, c);
+    });
+    assert.throws(function () {
+        _parseLinks('http://example.org/"><script>alert(1)</script>');
+    }, /Not a valid URL or DOI/);
+});
+
+test('_escapeHtml escapes markup characters', function () {
+    assert.strictEqual(_escapeHtml('<a href="x">Tom & Jerry\'s</a>'),
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    assert.strictEqual(_escapeHtml('plain'), 'plain');
+});
+
+test('_getTagLabel escapes tags which are not in the vocabulary', function () {
+    var annotator = {
+        tagVocabulary: [{
+            uri: 'http://example.org/tags/sst',
+            label: 'Sea surface temperature'
+        }]
+    };
+    var getTagLabel = charme.CharmeAnnotator.prototype._getTagLabel;
+    assert.strictEqual(getTagLabel.call(annotator, 'http://example.org/tags/sst'), 'Sea surface temperature');
+    assert.strictEqual(getTagLabel.call(annotator, 'http://example.org/<img>'), 'http://example.org/&lt;img&gt;');
+});
@@ -0,0 +1,94 @@
+/*
+ * Loads charme-leaflet.js for testing, along with the copy of Leaflet used by
+ * the examples. Both are run in a sandbox with just enough of a DOM for Leaflet
+ * to initialise. The module-private functions and classes of the plugin (those
+ * whose names start with an underscore) are exposed on CharmeAnnotator._private so that they can be tested directly.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var root = path.join(__dirname, '..');
+
+var createElement = function () {
+    return {
+        style: {},
+        className: '',
+        childNodes: [],
+        appendChild: function (child) {
+            return child;
+        },
+        setAttribute: function () {},
+        addEventListener: function () {},
+        removeEventListener: function () {}
+    };
+};
+
+var createWindow = function () {
+    var document = {
+        documentElement: {
+            style: {}
+        },
+        createElement: createElement,
+        createElementNS: createElement,
+        getElementById: function () {
+            return null;
+        },
+        getElementsByTagName: function () {
+            return [];
+        },
+        addEventListener: function () {},
+        removeEventListener: function () {}
+    };
+    var window = {
+        navigator: {
+            userAgent: 'node',
+            platform: ''
+        },
+        document: document,
+        devicePixelRatio: 1,
+        outerWidth: 1024,
+        outerHeight: 768,
+        addEventListener: function () {},
+        removeEventListener: function () {},
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        console: console
+    };
+    window.window = window;
+    return window;
+};
+
+var load = function () {
+    var context = vm.createContext(createWindow());
+    vm.runInContext(fs.readFileSync(path.join(root, 'examples/js/leaflet.js'), 'utf8'), context);
+
+    var source = fs.readFileSync(path.join(root, 'charme-leaflet.js'), 'utf8');
+    var names = [];
+    source.replace(/^(?:var (_\w+) =|function (_\w+)\()/gm, function (match, variable, fn) {
+        names.push(variable || fn);
+    });
+    var end = 'return CharmeAnnotator;\n}));';
+    if (source.indexOf(end) < 0) {
+        throw new Error('Could not find the end of the module');
+    }
+    source = source.replace(end, 'CharmeAnnotator._private = {' + names.map(function (name) {
+        return name + ': ' + name;
+    }).join(', ') + '};\n' + end);
+    vm.runInContext(source, context, {
+        filename: 'charme-leaflet.js'
+    });
+    return {
+        window: context,
+        /*
+         * Parses JSON into objects and arrays belonging to the sandbox, for
+         * code which uses instanceof Array
+         */
+        parseJson: vm.runInContext('JSON.parse', context),
+        L: context.L,
+        CharmeAnnotator: context.CharmeAnnotator,
+        _private: context.CharmeAnnotator._private
+    };
+};
+
+module.exports = load();
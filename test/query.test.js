@@ -0,0 +1,74 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var _getQuery = charme._private._getQuery;
+var _Query = charme._private._Query;
+var _iri = charme._private._iri;
+
+test('_getQuery filters on the dataset and variable', function () {
+    var query = _getQuery({
+        datasetUri: 'http://example.org/dataset',
+        datasetVar: 'sst'
+    }).toString();
+    assert.ok(query.indexOf('FILTER(?variableName = "sst")') >= 0, query);
+    assert.ok(query.indexOf('FILTER(str(?datasetUri) = "http://example.org/dataset")') >= 0, query);
+});
+
+test('_getQuery rejects a missing dataset or variable', function () {
+    assert.throws(function () {
+        _getQuery({});
+    }, /dataset and variable to query have not been set/);
+    assert.throws(function () {
+        _getQuery({
+            datasetUri: 'http://example.org/dataset'
+        });
+    }, /dataset and variable to query have not been set/);
+});
+
+test('_getQuery rejects unknown spatial relations', function () {
+    assert.throws(function () {
+        _getQuery({
+            datasetUri: 'http://example.org/dataset',
+            datasetVar: 'sst',
+            region: {
+                wkt: 'POINT (0 0)',
+                relation: 'touches'
+            }
+        });
+    }, /Unknown spatial relation/);
+});
+
+test('_Query escapes bound strings', function () {
+    var query = new _Query({}).where('?s ?p $value').bind('value', 'say "hi"\\\nthere').toString();
+    assert.strictEqual(query, 'SELECT * WHERE { ?s ?p "say \\"hi\\"\\\\\\nthere" }');
+});
+
+test('_Query doesn\'t substitute parameters inside bound values', function () {
+    var query = new _Query({}).where('?s ?p $a . ?s ?q $b').bind('a', '$b').bind('b', 'x').toString();
+    assert.strictEqual(query, 'SELECT * WHERE { ?s ?p "$b" . ?s ?q "x" }');
+});
+
+test('_Query binds IRIs and rejects invalid ones', function () {
+    var query = new _Query({}).where('$s ?p ?o').bind('s', _iri('http://example.org/a')).toString();
+    assert.strictEqual(query, 'SELECT * WHERE { <http://example.org/a> ?p ?o }');
+    assert.throws(function () {
+        new _Query({}).where('$s ?p ?o').bind('s', _iri('http://example.org/a> ?p ?o } #')).toString();
+    }, /Invalid IRI/);
+});
+
+test('_Query serialises optional patterns, ordering and paging', function () {
+    var query = new _Query({
+        oa: 'http://www.w3.org/ns/oa#'
+    }).select('?anno', '?tag')
+        .where('?anno a oa:Annotation .')
+        .optional('?anno oa:hasBody ?tag .')
+        .orderBy('?anno')
+        .orderBy('DESC(?tag)')
+        .limit(10)
+        .offset(20)
+        .toString();
+    assert.strictEqual(query, 'PREFIX oa: <http://www.w3.org/ns/oa#> SELECT ?anno ?tag WHERE { ' +
+        '?anno a oa:Annotation . OPTIONAL { ?anno oa:hasBody ?tag . } } ' +
+        'ORDER BY ?anno DESC(?tag) LIMIT 10 OFFSET 20');
+});
@@ -0,0 +1,150 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var charme = require('./load');
+
+var _parseWkt = charme._private._parseWkt;
+var _getWktCrs = charme._private._getWktCrs;
+var _getFeaturesFromBindings = charme._private._getFeaturesFromBindings;
+
+var parse = function (wkt) {
+    return JSON.parse(JSON.stringify(_parseWkt(wkt)));
+};
+
+/*
+ * Creates a SPARQL JSON results binding, in the sandbox
+ */
+var binding = function (anno, wkt, extra) {
+    return charme.parseJson(JSON.stringify(Object.assign({
+        anno: {
+            type: 'uri',
+            value: anno
+        },
+        wkt: {
+            type: 'literal',
+            value: wkt
+        }
+    }, extra)));
+};
+
+test('_parseWkt parses each geometry type', function () {
+    assert.deepStrictEqual(parse('POINT (1 2)'), {
+        type: 'Point',
+        coordinates: [1, 2]
+    });
+    assert.deepStrictEqual(parse('linestring(1 2,3 4)'), {
+        type: 'LineString',
+        coordinates: [[1, 2], [3, 4]]
+    });
+    assert.deepStrictEqual(parse('POLYGON ((0 0, 1 0, 1 1, 0 0))'), {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+    });
+    assert.deepStrictEqual(parse('MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))'), {
+        type: 'MultiPolygon',
+        coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[5, 5], [6, 5], [6, 6], [5, 5]]]]
+    });
+    assert.deepStrictEqual(parse('GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (1 2, 3 4))'), {
+        type: 'GeometryCollection',
+        geometries: [{
+            type: 'Point',
+            coordinates: [1, 2]
+        }, {
+            type: 'LineString',
+            coordinates: [[1, 2], [3, 4]]
+        }]
+    });
+});
+
+test('_parseWkt keeps Z values and drops M values', function () {
+    assert.deepStrictEqual(parse('POINT Z (1 2 3)').coordinates, [1, 2, 3]);
+    assert.deepStrictEqual(parse('POINT (1 2 3)').coordinates, [1, 2, 3]);
+    assert.deepStrictEqual(parse('POINT M (1 2 4)').coordinates, [1, 2]);
+    assert.deepStrictEqual(parse('POINT ZM (1 2 3 4)').coordinates, [1, 2, 3]);
+    assert.deepStrictEqual(parse('LINESTRING M (1 2 4, 3 4 5)').coordinates, [[1, 2], [3, 4]]);
+});
+
+test('_parseWkt accepts MULTIPOINTs with or without brackets around the points', function () {
+    var expected = {
+        type: 'MultiPoint',
+        coordinates: [[1, 2], [3, 4]]
+    };
+    assert.deepStrictEqual(parse('MULTIPOINT ((1 2), (3 4))'), expected);
+    assert.deepStrictEqual(parse('MULTIPOINT (1 2, 3 4)'), expected);
+});
+
+test('_parseWkt returns null for empty geometries', function () {
+    ['POINT EMPTY', 'LINESTRING EMPTY', 'POLYGON EMPTY', 'MULTIPOINT Z EMPTY', 'MULTIPOLYGON EMPTY',
+        'GEOMETRYCOLLECTION EMPTY', 'GEOMETRYCOLLECTION (POINT EMPTY, POLYGON EMPTY)'
+    ].forEach(function (wkt) {
+        assert.strictEqual(_parseWkt(wkt), null, wkt);
+    });
+    assert.deepStrictEqual(parse('GEOMETRYCOLLECTION (POINT EMPTY, POINT (1 2))'), {
+        type: 'GeometryCollection',
+        geometries: [{
+            type: 'Point',
+            coordinates: [1, 2]
+        }]
+    });
+});
+
+test('_parseWkt ignores a CRS at the start', function () {
+    var wkt = '<http://www.opengis.net/def/crs/EPSG/0/4326> POINT (2 1)';
+    assert.deepStrictEqual(parse(wkt).coordinates, [2, 1]);
+    assert.strictEqual(_getWktCrs(wkt), 'http://www.opengis.net/def/crs/EPSG/0/4326');
+    assert.strictEqual(_getWktCrs('POINT (1 2)'), undefined);
+});
+
+test('_parseWkt rejects malformed WKT', function () {
+    ['', 'POINT', 'POINT (1', 'POINT (1 2) (3 4)', 'POINT (1)', 'POINT (1 2 3 4 5)', 'CIRCLE (1 2)',
+        'LINESTRING (1 2; 3 4)', 'POLYGON (0 0, 1 0, 1 1, 0 0)'
+    ].forEach(function (wkt) {
+        assert.throws(function () {
+            _parseWkt(wkt);
+        }, /Invalid WKT/, wkt);
+    });
+});
+
+test('_getFeaturesFromBindings converts numeric literals and reprojects geometries', function () {
+    var features = JSON.parse(JSON.stringify(_getFeaturesFromBindings([
+        binding('http://example.org/anno1', '<http://www.opengis.net/def/crs/EPSG/0/4326> POINT (2 1)', {
+            radius: {
+                type: 'literal',
+                datatype: 'http://www.w3.org/2001/XMLSchema#double',
+                value: '1.5e3'
+            },
+            text: {
+                type: 'literal',
+                value: '42'
+            }
+        })
+    ])));
+    assert.deepStrictEqual(features, [{
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: [1, 2]
+        },
+        properties: {
+            anno: 'http://example.org/anno1',
+            radius: 1500,
+            text: '42'
+        }
+    }]);
+});
+
+test('_getFeaturesFromBindings skips empty and invalid geometries', function () {
+    var originalLog = console.log;
+    console.log = function () {};
+    try {
+        var features = _getFeaturesFromBindings([
+            binding('http://example.org/anno1', 'POLYGON EMPTY'),
+            binding('http://example.org/anno2', 'POINT (1'),
+            binding('http://example.org/anno3', '<http://example.org/unknown-crs> POINT (1 2)'),
+            binding('http://example.org/anno4', 'POINT (1 2)')
+        ]);
+    } finally {
+        console.log = originalLog;
+    }
+    assert.strictEqual(features.length, 1);
+    assert.strictEqual(features[0].properties.anno, 'http://example.org/anno4');
+});